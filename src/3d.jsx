@@ -1,11 +1,132 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import * as THREE from 'three';
+import { lerp, getFileExtension } from './utils.js';
+import {
+    getPattern,
+    getPatterns,
+    subscribePatterns,
+    fallbackGenerate,
+    defaultSize,
+    defaultColor
+} from './patterns.js';
+import {
+    HAND_CONNECTIONS,
+    HAND_COLORS,
+    getDetectedHands,
+    getFingertipCursor,
+    getHandOpenness,
+    mapHandsToTargets
+} from './hands.js';
+import {
+    GESTURES,
+    GESTURE_ACTIONS,
+    DEFAULT_GESTURE_BINDINGS,
+    createGestureRecognizer
+} from './gestures.js';
+import { createMediaPipeBackend, createScriptedBackend } from './tracking.js';
+import { createSessionRecorder, downloadSession, parseSession } from './recording.js';
+import {
+    MODEL_EXTENSIONS,
+    loadModelFile,
+    registerModelPattern
+} from './models.js';
+import {
+    IMAGE_EXTENSIONS,
+    DEFAULT_IMAGE_OPTIONS,
+    loadImageFile,
+    registerImagePattern
+} from './images.js';
+import { TEXT_FONTS, TEXT_WEIGHTS, DEFAULT_TEXT_OPTIONS } from './text.js';
+import {
+    PARTICLE_COUNT_OPTIONS,
+    TARGET_FPS_OPTIONS,
+    PIXEL_RATIO_STEP,
+    MIN_PIXEL_RATIO,
+    createQualityController
+} from './quality.js';
+import {
+    AUDIO_BANDS,
+    DEFAULT_AUDIO_SENSITIVITY,
+    BEAT_ACTION_EVERY_OPTIONS,
+    createAudioAnalyser
+} from './audio.js';
+import {
+    DEFAULT_FORCE_FIELD_OPTIONS,
+    CURSOR_DEPTH_SCALE,
+    CURSOR_MAX_DEPTH,
+    createFieldUvs,
+    createForceField
+} from './forceField.js';
+import {
+    DEFAULT_PLAYLIST,
+    createPlaylistStep,
+    createPlaylistPlayer,
+    downloadPlaylist,
+    parsePlaylist
+} from './playlist.js';
+import {
+    DRAW_CANVAS_SIZE,
+    DRAW_LINE_WIDTH,
+    DRAW_TOOLS,
+    DRAW_BRUSH_SIZES,
+    isShapeTool,
+    normalizeStroke,
+    renderStrokes,
+    sampleStrokes,
+    renderParticlePreview
+} from './drawing.js';
+import { AIR_MAX_POINTS, createAirPen, renderAirTrail } from './airDrawing.js';
+import { openDrawingGallery } from './gallery.js';
+import { resolveInputTargets, createPointerInput } from './input.js';
+import { loadSettings, saveSettings } from './settings.js';
+import {
+    CALIBRATION_STEPS,
+    DEFAULT_PROFILE_NAME,
+    createCalibrationWizard,
+    createCalibration,
+    loadCalibrationProfiles,
+    saveCalibrationProfiles,
+    getActiveCalibration
+} from './calibration.js';
+import { createPreset, downloadPreset, encodePresetHash, decodePresetHash, parsePreset } from './presets.js';
+import {
+    DEFAULT_MOTION_OPTIONS,
+    INITIAL_MOTION_PHASES,
+    motionShaderChunk,
+    advanceMotionPhases,
+    getMotionUniforms
+} from './motion.js';
+import {
+    DEFAULT_FILTER_OPTIONS,
+    FILTER_OPTION_RANGES,
+    HAND_SIGNALS,
+    createSignalFilters,
+    getInterpolationFactor
+} from './filtering.js';
+import { POST_EFFECTS, DEFAULT_POST_EFFECTS, isLowEndDevice, createPostProcessing } from './postprocessing.js';
+import { SCREENSHOT_SCALES, saveScreenshot, createVideoRecorder } from './capture.js';
+import {
+    TRANSITION_STYLES,
+    TRANSITION_EASINGS,
+    STAGGER_MODES,
+    DEFAULT_TRANSITION,
+    resolveTransition,
+    getTransitionUniforms,
+    transitionShaderChunk,
+    writeTransitionPositions,
+    getOverallProgress,
+    getMaxRadius
+} from './transitions.js';
+import {
+    COLOR_MODES,
+    GRADIENT_AXES,
+    PALETTES,
+    DEFAULT_COLOR_OPTIONS,
+    computeParticleColors
+} from './colors.js';
 
 // ---------- helpers ----------
 
-// simple linear interpolation
-const lerp = (a, b, t) => a * (1 - t) + b * t;
-
 // particle texture (soft round dot)
 const generateParticleTexture = () => {
     const canvas = document.createElement('canvas');
@@ -26,280 +147,28 @@ const generateParticleTexture = () => {
     return new THREE.CanvasTexture(canvas);
 };
 
-// extract particle positions from canvas drawing
-const extractParticlesFromCanvas = (canvas, count) => {
-    if (!canvas) return null;
-
-    const ctx = canvas.getContext('2d');
-    if (!ctx) return null;
-
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
-    const width = canvas.width;
-    const height = canvas.height;
-
-    // Collect all drawn pixels
-    const drawnPixels = [];
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const index = (y * width + x) * 4;
-            // Check if pixel is white or has any color (not black)
-            const r = pixels[index];
-            const g = pixels[index + 1];
-            const b = pixels[index + 2];
-            const alpha = pixels[index + 3];
-
-            if (alpha > 50 && (r > 50 || g > 50 || b > 50)) { // Threshold for drawn pixels
-                drawnPixels.push({ x, y });
-            }
-        }
-    }
-
-    console.log('Drawn pixels found:', drawnPixels.length);
-
-    if (drawnPixels.length === 0) {
-        // Return a small default pattern if nothing drawn
-        const defaultParticles = [];
-        for (let i = 0; i < count; i++) {
-            defaultParticles.push({
-                x: (Math.random() - 0.5) * 0.2,
-                y: (Math.random() - 0.5) * 0.2,
-                z: (Math.random() - 0.5) * 0.1
-            });
-        }
-        return defaultParticles;
-    }
-
-    // Sample particles from drawn pixels
-    const particles = [];
-    const step = Math.max(1, Math.floor(drawnPixels.length / count));
-
-    for (let i = 0; i < drawnPixels.length && particles.length < count; i += step) {
-        const pixel = drawnPixels[i];
-
-        // Convert pixel coordinates to 3D space (-1 to 1)
-        const x = (pixel.x / width - 0.5) * 2;
-        const y = -(pixel.y / height - 0.5) * 2; // Flip Y
-        const z = (Math.random() - 0.5) * 0.3; // Small Z variation
+// undo steps kept for the draw panel
+const DRAW_HISTORY_LIMIT = 100;
+// particles in the draw panel's live preview
+const DRAW_PREVIEW_COUNT = 3000;
 
-        particles.push({ x, y, z });
-    }
-
-    // Fill remaining particles if needed
-    while (particles.length < count) {
-        const randomPixel = drawnPixels[Math.floor(Math.random() * drawnPixels.length)];
-        particles.push({
-            x: (randomPixel.x / width - 0.5) * 2,
-            y: -(randomPixel.y / height - 0.5) * 2,
-            z: (Math.random() - 0.5) * 0.3
-        });
-    }
-
-    return particles;
-};
-
-// generate particle positions / sizes / colors
-const generateParticleData = (pattern, count, customCanvas = null) => {
+// generate particle positions / sizes / colors from a registered pattern
+// extra: additional context for the pattern hooks (e.g. customParticles)
+const generateParticleData = (patternId, count, { rng = Math.random, ...extra } = {}) => {
     const positions = new Float32Array(count * 3);
     const targetPositions = new Float32Array(count * 3);
     const sizes = new Float32Array(count);
     const colors = new Float32Array(count * 3);
-    const baseColor = new THREE.Color();
 
-    let scale = 3;
-    if (pattern === 'heart' || pattern === 'cube') scale = 2;
-    if (pattern === 'custom') scale = 4;
+    const pattern = getPattern(patternId);
+    const generate = pattern?.generate ?? fallbackGenerate;
+    const getSize = pattern?.size ?? defaultSize;
+    const getColor = pattern?.color ?? defaultColor;
+    const context = { scale: pattern?.scale ?? 3, ...extra };
 
     for (let i = 0; i < count; i++) {
         const i3 = i * 3;
-        const pos = new THREE.Vector3();
-
-        switch (pattern) {
-            case 'sphere': {
-                // sphere with clear outline:
-                // - majority of particles on a shell
-                // - fewer particles inside
-                // - some shell particles gently pushed outward (glow)
-                const edgeBias = 0.7;     // shell probability
-                const glowChance = 0.25;  // chance to push a shell particle outward
-
-                // random direction on a unit sphere
-                const u = Math.random();
-                const v = Math.random();
-                const theta = 2 * Math.PI * u;
-                const phi = Math.acos(2 * v - 1);
-                const dir = new THREE.Vector3(
-                    Math.sin(phi) * Math.cos(theta),
-                    Math.sin(phi) * Math.sin(theta),
-                    Math.cos(phi)
-                );
-
-                let r;
-                if (Math.random() < edgeBias) {
-                    // near outer shell
-                    r = scale * (0.9 + 0.1 * Math.random());
-                    // small outward spread on the edge (glow)
-                    if (Math.random() < glowChance) {
-                        const glow = 1.02 + 0.05 * Math.random();
-                        r *= glow;
-                    }
-                } else {
-                    // inner region with lower density towards center
-                    const t = Math.random(); // 0..1
-                    // map so that inner radius is less likely than mid/outer
-                    const innerFactor = 0.9 * (1 - t * t);
-                    r = scale * innerFactor;
-                }
-
-                pos.copy(dir.multiplyScalar(r));
-                break;
-            }
-
-            case 'cube': {
-                // cube with clear outline:
-                // - many particles on the faces (outline)
-                // - fewer particles inside
-                // - some face particles pushed slightly outward (glow)
-                const edgeBias = 0.7;     // face probability
-                const glowChance = 0.25;  // chance to push a face particle outward
-
-                // random point in [-1, 1]^3
-                let x = Math.random() * 2 - 1;
-                let y = Math.random() * 2 - 1;
-                let z = Math.random() * 2 - 1;
-
-                if (Math.random() < edgeBias) {
-                    // project onto the surface of the cube (one coord reaches ±1)
-                    const maxAbs = Math.max(Math.abs(x), Math.abs(y), Math.abs(z)) || 1;
-                    let factor = 1 / maxAbs; // brings point onto the surface
-
-                    // small outward spread for some edge particles
-                    if (Math.random() < glowChance) {
-                        factor *= 1.02 + 0.05 * Math.random();
-                    }
-
-                    x *= factor * scale;
-                    y *= factor * scale;
-                    z *= factor * scale;
-                } else {
-                    // inner cube with smaller size (less density near center)
-                    const innerScale = scale * 0.7;
-                    x *= innerScale;
-                    y *= innerScale;
-                    z *= innerScale;
-                }
-
-                pos.set(x, y, z);
-                break;
-            }
-
-            case 'torus': {
-                const angle1 = Math.random() * Math.PI * 2;
-                const angle2 = Math.random() * Math.PI * 2;
-                const R = scale * 0.7;
-                const rMax = scale * 0.3;
-                const r = Math.sqrt(Math.random()) * rMax;
-
-                pos.set(
-                    (R + r * Math.cos(angle2)) * Math.cos(angle1),
-                    r * Math.sin(angle2),
-                    (R + r * Math.cos(angle2)) * Math.sin(angle1)
-                );
-                break;
-            }
-
-            case 'heart': {
-                // keep heart as is: clear outline, inner density falloff
-                const hScale = scale * 0.1;
-                const t = Math.random() * Math.PI * 2;
-
-                const isTopIndent = t < Math.PI * 0.15 || t > Math.PI * 1.85;
-                const isBottomTip = t > Math.PI * 0.9 && t < Math.PI * 1.1;
-
-                let densityFactor = 1;
-                if (isTopIndent) densityFactor = 0.6;
-                else if (isBottomTip) densityFactor = 0.7;
-
-                const baseX = 16 * Math.pow(Math.sin(t), 3);
-                const baseY =
-                    13 * Math.cos(t) -
-                    5 * Math.cos(2 * t) -
-                    2 * Math.cos(3 * t) -
-                    Math.cos(4 * t);
-
-                let r;
-                const outerThreshold = 0.3 * densityFactor;
-                if (Math.random() < outerThreshold) {
-                    r = 0.9 + Math.random() * 0.1;
-                } else {
-                    const innerBias = densityFactor < 1 ? 0.5 : 0.3;
-                    r = Math.pow(Math.random(), innerBias) * 0.9;
-                }
-
-                pos.x = hScale * baseX * r;
-                pos.y = hScale * baseY * r;
-
-                const zThickness = r * scale * 0.3;
-                pos.z = (Math.random() - 0.5) * zThickness;
-                break;
-            }
-
-            case 'wave': {
-                const gridSize = Math.ceil(Math.sqrt(count));
-                const x = ((i % gridSize) / gridSize - 0.5) * scale * 2;
-                const z = (Math.floor(i / gridSize) / gridSize - 0.5) * scale * 2;
-
-                const baseY = Math.sin(x * 1.5) * Math.cos(z * 1.5) * scale * 0.4;
-                const yOffset = (Math.random() - 0.5) * scale * 0.2;
-
-                pos.set(x, baseY + yOffset, z);
-                break;
-            }
-
-            case 'galaxy': {
-                const arms = 3;
-                const armIndex = i % arms;
-                const angleOffset = (armIndex / arms) * Math.PI * 2;
-                const radius = Math.pow(Math.random(), 0.5) * scale;
-                const angle = angleOffset + (radius / scale) * Math.PI * 4;
-
-                const offsetX = (Math.random() - 0.5) * 0.3;
-                const offsetY = (Math.random() - 0.5) * 0.15;
-                const offsetZ = (Math.random() - 0.5) * 0.3;
-
-                pos.set(
-                    radius * Math.cos(angle) + offsetX,
-                    offsetY,
-                    radius * Math.sin(angle) + offsetZ
-                );
-                break;
-            }
-
-            case 'custom': {
-                // Custom drawn pattern from canvas
-                // Note: customParticles is pre-computed outside the loop
-                if (window.customParticlesCache && window.customParticlesCache[i]) {
-                    const p = window.customParticlesCache[i];
-                    pos.set(p.x * scale, p.y * scale, p.z * scale);
-                } else {
-                    // Fallback: small sphere
-                    const phi = Math.acos(-1 + (2 * i) / count);
-                    const theta = Math.sqrt(count * Math.PI) * phi;
-                    const r = Math.pow(Math.random(), 1 / 3) * scale * 0.5;
-                    pos.setFromSphericalCoords(r, phi, theta);
-                }
-                break;
-            }
-
-            default: {
-                // fallback: solid-ish sphere
-                const phi = Math.acos(-1 + (2 * i) / count);
-                const theta = Math.sqrt(count * Math.PI) * phi;
-                const r = Math.pow(Math.random(), 1 / 3) * scale;
-                pos.setFromSphericalCoords(r, phi, theta);
-                break;
-            }
-        }
+        const pos = generate(i, count, rng, context);
 
         positions[i3] = pos.x;
         positions[i3 + 1] = pos.y;
@@ -309,12 +178,15 @@ const generateParticleData = (pattern, count, customCanvas = null) => {
         targetPositions[i3 + 1] = pos.y;
         targetPositions[i3 + 2] = pos.z;
 
-        sizes[i] = Math.random() * 0.5 + 0.1;
+        // size / color hooks may look at the generated position
+        context.position = pos;
+        sizes[i] = getSize(i, count, rng, context);
 
-        baseColor.setHSL(Math.random() * 0.1 + 0.5, 0.7, Math.random() * 0.5 + 0.3);
-        colors[i3] = baseColor.r;
-        colors[i3 + 1] = baseColor.g;
-        colors[i3 + 2] = baseColor.b;
+        const color = getColor(i, count, rng, context);
+        const [r, g, b] = Array.isArray(color) ? color : [color.r, color.g, color.b];
+        colors[i3] = r;
+        colors[i3 + 1] = g;
+        colors[i3 + 2] = b;
     }
 
     // start slightly around origin for entry animation
@@ -327,15 +199,49 @@ const generateParticleData = (pattern, count, customCanvas = null) => {
 
 // ---------- shaders ----------
 
+// morphing runs here instead of a per-particle JS loop:
+// `position` is where a particle starts the current morph, `a_target` where it ends,
+// transitionPosition (transitions.js) moves between them and u_scale is the smoothed hand scale.
+// a_seed is a fixed random number per particle, a_order its index / count.
+// colors blend the same way on their own clock: a_color -> a_colorTarget by u_colorProgress.
+// audio adds a size wobble (u_sizeJitter, random phase per particle) and a hue rotation.
+// u_fieldOffsets holds the hand force field displacement, simulated on the GPU (forceField.js),
+// one texel per particle at a_fieldUv
 const vertexShader = `
+  ${transitionShaderChunk}
+  ${motionShaderChunk}
+  uniform float u_colorProgress;
+  uniform float u_scale;
+  uniform float u_sizeScale;
+  uniform float u_sizeJitter;
+  uniform float u_jitterPhase;
+  uniform float u_hueShift;
+  uniform sampler2D u_fieldOffsets;
+  attribute vec3 a_target;
   attribute float a_size;
   attribute vec3 a_color;
+  attribute vec3 a_colorTarget;
+  attribute vec2 a_fieldUv;
+  attribute float a_seed;
+  attribute float a_order;
   varying vec3 v_color;
+  varying float v_twinkle;
+
+  // rotate a color around the grey axis
+  vec3 hueShift(vec3 color, float angle) {
+    const vec3 k = vec3(0.57735);
+    float c = cos(angle);
+    return color * c + cross(k, color) * sin(angle) + k * dot(k, color) * (1.0 - c);
+  }
 
   void main() {
-    v_color = a_color;
-    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-    gl_PointSize = a_size * (300.0 / -mvPosition.z);
+    v_color = hueShift(mix(a_color, a_colorTarget, u_colorProgress), u_hueShift);
+    vec3 formed = transitionPosition(position, a_target, a_seed, a_order) + drift(a_target, a_seed);
+    vec3 morphed = formed * u_scale + texture2D(u_fieldOffsets, a_fieldUv).xyz;
+    vec4 mvPosition = modelViewMatrix * vec4(morphed, 1.0);
+    float jitter = 1.0 + u_sizeJitter * sin(a_seed * 6.2832 + u_jitterPhase);
+    v_twinkle = twinkle(a_seed);
+    gl_PointSize = a_size * jitter * v_twinkle * u_sizeScale * (300.0 / -mvPosition.z);
     gl_Position = projectionMatrix * mvPosition;
   }
 `;
@@ -344,160 +250,518 @@ const fragmentShader = `
   uniform vec3 u_color;
   uniform sampler2D u_texture;
   varying vec3 v_color;
+  varying float v_twinkle;
 
   void main() {
     vec4 texColor = texture2D(u_texture, gl_PointCoord);
-    gl_FragColor = vec4(u_color * v_color, texColor.a);
+    gl_FragColor = vec4(u_color * v_color, texColor.a * v_twinkle);
   }
 `;
 
 // ---------- constants ----------
 
-const PARTICLE_COUNT = 15000;
-
-const PATTERNS = [
-    { value: 'heart', label: 'Heart', icon: '❤️' },
-    { value: 'cube', label: 'Cube', icon: '⬛' },
-    { value: 'sphere', label: 'Sphere', icon: '⚪' },
-    { value: 'torus', label: 'Torus', icon: '⭕' },
-    { value: 'galaxy', label: 'Galaxy', icon: '🌌' },
-    { value: 'wave', label: 'Wave', icon: '🌊' },
-    { value: 'custom', label: 'Draw', icon: '✏️' }
-];
-
-// MediaPipe hand landmark connections
-const HAND_CONNECTIONS = [
-    [0, 1], [1, 2], [2, 3], [3, 4],  // thumb
-    [0, 5], [5, 6], [6, 7], [7, 8],  // index finger
-    [0, 9], [9, 10], [10, 11], [11, 12],  // middle finger
-    [0, 13], [13, 14], [14, 15], [15, 16],  // ring finger
-    [0, 17], [17, 18], [18, 19], [19, 20],  // pinky
-    [5, 9], [9, 13], [13, 17]  // palm
-];
-
-// load external script once
-const loadScript = (src, id) =>
-    new Promise((resolve, reject) => {
-        if (document.getElementById(id)) {
-            resolve();
-            return;
-        }
-        const script = document.createElement('script');
-        script.id = id;
-        script.src = src;
-        script.crossOrigin = 'anonymous';
-        script.onload = resolve;
-        script.onerror = reject;
-        document.body.appendChild(script);
+const DEFAULT_PARTICLE_COUNT = 15000;
+
+// point size factor: keeps dots the same on-screen size when the pixel ratio drops,
+// and shrinks them for dense clouds so additive blending doesn't wash out to white
+const getPointSizeScale = (pixelRatio, count) => {
+    const ratioScale = pixelRatio / window.devicePixelRatio;
+    const densityScale = Math.min(1, Math.max(0.3, Math.sqrt(DEFAULT_PARTICLE_COUNT / count)));
+    return ratioScale * densityScale;
+};
+
+const createParticleGeometry = ({ positions, targetPositions, sizes, colors }) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute(
+        'a_target',
+        new THREE.BufferAttribute(targetPositions, 3)
+    );
+    geometry.setAttribute('a_size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('a_color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('a_colorTarget', new THREE.BufferAttribute(colors.slice(), 3));
+
+    const count = positions.length / 3;
+    geometry.setAttribute('a_fieldUv', new THREE.BufferAttribute(createFieldUvs(count), 2));
+    const seeds = new Float32Array(count);
+    const order = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        seeds[i] = Math.random();
+        order[i] = i / count;
+    }
+    geometry.setAttribute('a_seed', new THREE.BufferAttribute(seeds, 1));
+    geometry.setAttribute('a_order', new THREE.BufferAttribute(order, 1));
+    return geometry;
+};
+
+// where the particles of the running transition are right now (pre-scale, like the shader).
+// out may be the geometry's own position array: that freezes the transition in place
+const getMorphedPositions = ({ geometry, morphTransition, morphStartTime, morphMaxRadius }, out) =>
+    writeTransitionPositions(
+        morphTransition,
+        (performance.now() - morphStartTime) / 1000,
+        morphMaxRadius,
+        geometry.attributes.position.array,
+        geometry.attributes.a_target.array,
+        geometry.attributes.a_seed.array,
+        out
+    );
+
+// color changes fade slower than shapes morph, so a new scheme washes over the shape
+const COLOR_BLEND_RATE = 2.5;
+
+// seconds a hand or the pointer takes to fully take over rotation from the idle spin
+const STEER_BLEND_TIME = 0.5;
+
+// blend rate for a fade of about `seconds` (99% done by then)
+const getTransitionRate = seconds => 5 / Math.max(0.05, seconds);
+
+// frame-rate independent ease-out for color blends (exponential approach)
+const getBlendProgress = (startTime, rate) => {
+    const elapsed = (performance.now() - startTime) / 1000;
+    const progress = 1 - Math.exp(-elapsed * rate);
+    return progress > 0.999 ? 1 : progress;
+};
+
+// how strongly each audio band drives its effect at sensitivity 1
+const AUDIO_BASS_SCALE = 0.6;   // extra scale at full bass
+const AUDIO_BEAT_PULSE = 0.25;  // extra scale right on a beat
+const AUDIO_PULSE_DECAY = 8;    // 1/s
+const AUDIO_MIDS_JITTER = 1.5;
+const AUDIO_HIGHS_HUE = Math.PI;
+const AUDIO_METER_INTERVAL = 100;  // ms between level meter updates
+
+const CURSOR_COLORS = { repel: 0x22d3ee, attract: 0xf472b6 };
+
+// fingertip (image space) -> point in the scene, on a plane around z = 0 pushed by landmark depth
+const unprojectCursor = (cursor, camera, target) => {
+    const depth = Math.min(CURSOR_MAX_DEPTH, Math.max(-CURSOR_MAX_DEPTH, -cursor.z * CURSOR_DEPTH_SCALE));
+    target.set(cursor.x * 2 - 1, -(cursor.y * 2 - 1), 0.5).unproject(camera);
+    target.sub(camera.position).normalize();
+    const distance = (depth - camera.position.z) / target.z;
+    return target.multiplyScalar(distance).add(camera.position);
+};
+
+// air-drawn stroke and pen -> the 3D trail, in the custom pattern's coordinates
+const writeAirTrail = (trail, { pen, stroke }) => {
+    const scale = getPattern('custom')?.scale ?? 1;
+    const points = pen ? [...(stroke?.points ?? []), pen] : stroke?.points ?? [];
+    const positions = trail.geometry.attributes.position;
+    points.forEach(([x, y, z], i) => {
+        positions.setXYZ(i, (x - 0.5) * 2 * scale, -(y - 0.5) * 2 * scale, z * scale);
     });
+    positions.needsUpdate = true;
+    trail.geometry.setDrawRange(0, points.length);
+};
+
+// GPU force field, or null where the device can't render to float textures
+const tryCreateForceField = (renderer, count) => {
+    try {
+        return createForceField({ renderer, count });
+    } catch (err) {
+        console.warn(err.message);
+        return null;
+    }
+};
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// patterns reachable by next/previous gestures (interactive ones need the mouse)
+const getCyclePatternIds = () =>
+    getPatterns()
+        .filter(pattern => !pattern.interactive)
+        .map(pattern => pattern.id);
+
+const COLOR_PRESETS = ['#f9c8f5', '#00e5ff', '#ffd166', '#7cff6b', '#ff6b6b', '#b388ff'];
+
+// step through a list of values, wrapping around at both ends
+const stepValue = (values, current, direction) => {
+    const index = values.indexOf(current);
+    if (index === -1) return values[0];
+    return values[(index + direction + values.length) % values.length];
+};
 
 // ---------- component ----------
 
-const ParticleGestureSystem = () => {
+// createTrackingBackend: ({ video }) => { start(onResults), stop() }, see tracking.js
+const ParticleGestureSystem = ({ createTrackingBackend = createMediaPipeBackend }) => {
     const containerRef = useRef(null);
     const videoRef = useRef(null);
     const drawCanvasRef = useRef(null);
+    const drawPreviewRef = useRef(null);
+    // stroke being drawn right now, added to drawStrokes when the pointer is released
+    const activeStrokeRef = useRef(null);
+    const drawPreviewFrameRef = useRef(null);
     const previewCanvasRef = useRef(null);
 
+    // last-used settings, read once on startup
+    const [savedSettings] = useState(() => loadSettings(id => !!getPattern(id)));
+
     const [isWebcamActive, setIsWebcamActive] = useState(false);
-    const [selectedPattern, setSelectedPattern] = useState('heart');
+    const [selectedPattern, setSelectedPattern] = useState(savedSettings.pattern);
+    const [patterns, setPatterns] = useState(getPatterns);
+    const [modelFillVolume, setModelFillVolume] = useState(true);
+    const [importError, setImportError] = useState(null);
+    const [imageOptions, setImageOptions] = useState(DEFAULT_IMAGE_OPTIONS);
+    const [textOptions, setTextOptions] = useState(DEFAULT_TEXT_OPTIONS);
     // default color is #f9c8f5
-    const [particleColor, setParticleColor] = useState('#f9c8f5');
+    const [particleColor, setParticleColor] = useState(savedSettings.particleColor);
+    const [colorOptions, setColorOptions] = useState(DEFAULT_COLOR_OPTIONS);
     const [handDistance, setHandDistance] = useState(1);
     const [isFullscreen, setIsFullscreen] = useState(false);
-    const [showControls, setShowControls] = useState(true);
-    const [isMediaPipeReady, setIsMediaPipeReady] = useState(false);
+    const [showControls, setShowControls] = useState(savedSettings.showControls);
+    const [trackingError, setTrackingError] = useState(null);
+    const [isRecording, setIsRecording] = useState(false);
+    const [replaySession, setReplaySession] = useState(null);
+    const [isReplayPlaying, setIsReplayPlaying] = useState(true);
+    const [replayLoop, setReplayLoop] = useState(true);
+    const [replaySpeed, setReplaySpeed] = useState(1);
     const [showDrawPanel, setShowDrawPanel] = useState(false);
     const [isDrawing, setIsDrawing] = useState(false);
+    // the drawing as strokes (see drawing.js), the canvas is only its rendering
+    const [drawStrokes, setDrawStrokes] = useState(savedSettings.strokes);
+    // earlier / undone stroke lists
+    const [drawHistory, setDrawHistory] = useState({ undo: [], redo: [] });
+    const [drawTool, setDrawTool] = useState('brush');
+    const [brushSize, setBrushSize] = useState(DRAW_LINE_WIDTH);
+    const [isAirDrawing, setIsAirDrawing] = useState(false);
+    const [drawings, setDrawings] = useState([]);
+    const [drawingName, setDrawingName] = useState('');
+    const [galleryError, setGalleryError] = useState(null);
+    const [gesturesEnabled, setGesturesEnabled] = useState(true);
+    const [gestureBindings, setGestureBindings] = useState(DEFAULT_GESTURE_BINDINGS);
+    const [lastGesture, setLastGesture] = useState(null);
+    const [particleCount, setParticleCount] = useState(DEFAULT_PARTICLE_COUNT);
+    const [autoQuality, setAutoQuality] = useState(false);
+    const [targetFps, setTargetFps] = useState(60);
+    const [pixelRatio, setPixelRatio] = useState(window.devicePixelRatio);
+    const [measuredFps, setMeasuredFps] = useState(null);
+    const [audioSource, setAudioSource] = useState(null);   // null, 'mic' or the file name
+    const [audioError, setAudioError] = useState(null);
+    const [audioSensitivity, setAudioSensitivity] = useState(DEFAULT_AUDIO_SENSITIVITY);
+    const [audioLevels, setAudioLevels] = useState({ bass: 0, mids: 0, highs: 0 });
+    const [beatAction, setBeatAction] = useState('none');
+    const [beatEvery, setBeatEvery] = useState(4);
+    const [forceFieldEnabled, setForceFieldEnabled] = useState(false);
+    const [transition, setTransition] = useState(DEFAULT_TRANSITION);
+    const [screenshotScale, setScreenshotScale] = useState(1);
+    const [isVideoRecording, setIsVideoRecording] = useState(false);
+    const [videoWithPip, setVideoWithPip] = useState(true);
+    const [captureMessage, setCaptureMessage] = useState(null);  // { error, text }
+    const [presetMessage, setPresetMessage] = useState(null);   // { error, text }
+    // effects are opt-in, the plain scene is the app's look
+    const [postEnabled, setPostEnabled] = useState(false);
+    const [isSlowForPost, setIsSlowForPost] = useState(false);
+    // effects on a slow device only after an explicit "use anyway"
+    const [postOverride, setPostOverride] = useState(false);
+    const [postEffects, setPostEffects] = useState(DEFAULT_POST_EFFECTS);
+    const [playlist, setPlaylist] = useState(DEFAULT_PLAYLIST);
+    const [isPlaylistPlaying, setIsPlaylistPlaying] = useState(false);
+    const [playlistStatus, setPlaylistStatus] = useState({ index: -1, paused: false });
+    const [playlistError, setPlaylistError] = useState(null);
+    const [forceFieldOptions, setForceFieldOptions] = useState(DEFAULT_FORCE_FIELD_OPTIONS);
+    const [motionOptions, setMotionOptions] = useState(DEFAULT_MOTION_OPTIONS);
+    const [filterOptions, setFilterOptions] = useState(DEFAULT_FILTER_OPTIONS);
+    const [calibrationProfiles, setCalibrationProfiles] = useState(loadCalibrationProfiles);
+    // { step, progress } while the wizard runs, else null
+    const [calibrationStatus, setCalibrationStatus] = useState(null);
+    const [calibrationName, setCalibrationName] = useState('');
+    const [calibrationError, setCalibrationError] = useState(null);
 
     const threeRefs = useRef({});
-    const mediaPipeRefs = useRef({});
+    // read from inside the tracking results handler, which is created once per camera session
+    const gestureRefs = useRef({});
+    const backendRef = useRef(null);
+    const recorderRef = useRef(null);
+    const sessionInputRef = useRef(null);
+    const modelInputRef = useRef(null);
+    const imageInputRef = useRef(null);
+    // imported images by pattern id, re-sampled when the image options change
+    const imageSourcesRef = useRef({});
+    // frame-time watcher for auto quality, driven from the animation loop
+    const qualityRefs = useRef({});
+    // audio analyser and its settings, read every frame by the animation loop
+    const audioRefs = useRef({});
+    const audioInputRef = useRef(null);
+    // force field settings for the animation loop
+    const fieldRefs = useRef({});
+    // twinkle / drift settings for the animation loop
+    const motionRefs = useRef({});
+    // smoothing settings for the animation loop and the tracking results handler
+    const filterRefs = useRef({});
+    // auto show player and the current playlist, stepped from the animation loop
+    const playlistRefs = useRef({ player: createPlaylistPlayer() });
+    const playlistInputRef = useRef(null);
+    // running video recorder, fed a frame after every render
+    const captureRefs = useRef({});
+    // latest preset loader for the hash listener
+    const presetRefs = useRef({});
+    const presetInputRef = useRef(null);
+    // saved drawings storage, opened on mount
+    const galleryRef = useRef(null);
+    // fingertip pen for air drawing, fed from the tracking results handler
+    const airRefs = useRef({ pen: createAirPen() });
+    // active calibration and the running wizard, for the tracking results handler
+    const calibrationRefs = useRef({});
+
+    // the drawing sampled at the current count, only while the custom pattern is shown
+    const customParticles = useMemo(
+        () => (selectedPattern === 'custom' ? sampleStrokes(drawStrokes, particleCount) : null),
+        [selectedPattern, drawStrokes, particleCount]
+    );
+
+    // particle data for a pattern at the current count, with everything its hooks may need
+    const generatePattern = (patternId, extra) =>
+        generateParticleData(patternId, particleCount, {
+            customParticles,
+            textOptions,
+            ...extra
+        });
+
+    // recolor pattern data with the active color scheme, keeping the pattern's own colors
+    const applyColorScheme = data => ({
+        ...data,
+        baseColors: data.colors,
+        colors: computeParticleColors(data.targetPositions, data.colors, colorOptions)
+    });
+
+    // band levels -> size jitter / hue uniforms, returns the scale factor for bass and beats
+    const applyAudioReaction = (material, now) => {
+        const audio = audioRefs.current;
+        const { analyser, sensitivity } = audio;
+        if (!analyser?.isActive()) {
+            material.uniforms.u_sizeJitter.value = 0;
+            material.uniforms.u_hueShift.value = 0;
+            return 1;
+        }
+
+        const { bass, mids, highs, beat } = analyser.sample(now);
+        const elapsed = audio.lastTime ? (now - audio.lastTime) / 1000 : 0;
+        audio.lastTime = now;
+
+        audio.pulse = (audio.pulse ?? 0) * Math.exp(-elapsed * AUDIO_PULSE_DECAY);
+        if (beat) {
+            audio.pulse = 1;
+            audio.beatCount = (audio.beatCount ?? 0) + 1;
+            if (audio.beatAction !== 'none' && audio.beatCount % audio.beatEvery === 0) {
+                gestureRefs.current.runAction?.(audio.beatAction);
+            }
+        }
+
+        material.uniforms.u_sizeJitter.value = Math.min(1, mids * sensitivity.mids * AUDIO_MIDS_JITTER);
+        material.uniforms.u_jitterPhase.value = now / 100;
+        material.uniforms.u_hueShift.value = highs * sensitivity.highs * AUDIO_HIGHS_HUE;
+        // the meters only need a few updates a second, a state change per frame would
+        // re-render the whole panel at 60 fps
+        audio.levels = { bass, mids, highs };
+        if (now - (audio.metersTime ?? 0) >= AUDIO_METER_INTERVAL) {
+            audio.metersTime = now;
+            setAudioLevels(audio.levels);
+        }
+
+        return 1 + (bass * AUDIO_BASS_SCALE + audio.pulse * AUDIO_BEAT_PULSE) * sensitivity.bass;
+    };
+
+    // push / pull particles around the index fingertip, then let them spring back
+    const applyForceField = (material, now) => {
+        const { geometry, particles, camera, forceField, cursorMarker } = threeRefs.current;
+        const { enabled, options } = fieldRefs.current;
+        const elapsed = threeRefs.current.lastFrameTime ? (now - threeRefs.current.lastFrameTime) / 1000 : 0;
+        threeRefs.current.lastFrameTime = now;
+        if (!forceField) return;
+
+        const fingertip = enabled ? threeRefs.current.fieldCursor : null;
+        let cursor = null;
+        if (fingertip) {
+            unprojectCursor(fingertip, camera, cursorMarker.position);
+            cursorMarker.material.color.setHex(fingertip.isPinching ? CURSOR_COLORS.attract : CURSOR_COLORS.repel);
+            cursorMarker.scale.setScalar(options.radius);
+            particles.updateMatrixWorld();
+            cursor = particles.worldToLocal(cursorMarker.position.clone());
+        }
+        cursorMarker.visible = !!fingertip;
+
+        forceField.step({
+            start: geometry.attributes.position.array,
+            target: geometry.attributes.a_target.array,
+            // the attributes only change when a morph starts
+            version: threeRefs.current.morphStartTime,
+            // styled transitions are approximated by a straight morph, exact once they finish
+            progress: getOverallProgress(threeRefs.current.morphTransition, material.uniforms.u_morphTime.value),
+            scale: material.uniforms.u_scale.value,
+            cursor,
+            attract: fingertip?.isPinching,
+            options,
+            dt: elapsed
+        });
+        material.uniforms.u_fieldOffsets.value = forceField.getOffsetTexture();
+    };
+
+    // advance the auto show, callbacks come from the latest render via playlistRefs
+    const updatePlaylist = now => {
+        const { player, playlist, playing, showStep, stop } = playlistRefs.current;
+        if (!playing || !player) return;
+
+        // any input source pauses the show, not only hands
+        const event = player.update(now, playlist, !!threeRefs.current.isSteered);
+        if (event?.done) stop();
+        else if (event) showStep(playlist.steps[event.index]);
+
+        const status = player.getStatus();
+        const previous = playlistRefs.current.status;
+        if (!previous || previous.index !== status.index || previous.paused !== status.paused) {
+            playlistRefs.current.status = status;
+            setPlaylistStatus(status);
+        }
+    };
 
     // main animation loop
     const animate = useCallback(() => {
-        const { scene, camera, renderer, particles, geometry } = threeRefs.current;
+        const { scene, camera, renderer, particles, material } = threeRefs.current;
         if (!scene || !particles) return;
 
         threeRefs.current.animationId = requestAnimationFrame(animate);
 
-        const positions = geometry.attributes.position.array;
-        const targetPositions = geometry.attributes.a_target.array;
+        const { controller, applyStep } = qualityRefs.current;
+        if (controller) {
+            const step = controller.sample(performance.now());
+            if (step) applyStep?.(step);
+        }
 
-        const targetScale = threeRefs.current.handScaleTarget ?? 1;
+        // a detected hand wins over mouse / touch / keyboard, without either the scene idles
+        const { pointerInput } = threeRefs.current;
+        const hasHand = !!threeRefs.current.isHandDetected;
         const currentScale = threeRefs.current.handScaleCurrent ?? 1;
-        const newScale = lerp(currentScale, targetScale, 0.12);
+        if (hasHand) pointerInput.release();
+        else threeRefs.current.rotationOffset = null;
+        // zero point set by the reset rotation gesture
+        const offset = threeRefs.current.rotationOffset ?? { x: 0, y: 0, z: 0 };
+        const input = resolveInputTargets([
+            hasHand
+                ? {
+                    handScaleTarget: threeRefs.current.handScaleTarget,
+                    rotationXTarget: threeRefs.current.rotationXTarget - offset.x,
+                    rotationYTarget: threeRefs.current.rotationYTarget - offset.y,
+                    rotationZTarget: threeRefs.current.rotationZTarget - offset.z
+                }
+                : null,
+            hasHand
+                ? null
+                : pointerInput.update(performance.now(), {
+                    rotation: particles.rotation,
+                    scale: currentScale,
+                    panX: particles.position.x,
+                    panY: particles.position.y
+                })
+        ]);
+        threeRefs.current.isSteered = input.isSteered;
+
+        // targets are already filtered (per tracking frame), ease between them frame by frame
+        const frameTime = performance.now() / 1000;
+        const follow = getInterpolationFactor(frameTime - (threeRefs.current.lastFollowTime ?? frameTime));
+        threeRefs.current.lastFollowTime = frameTime;
+        const newScale = lerp(currentScale, input.handScaleTarget, follow);
 
         threeRefs.current.handScaleCurrent = newScale;
         setHandDistance(newScale);
 
-        for (let i = 0; i < PARTICLE_COUNT; i++) {
-            const i3 = i * 3;
-            const tx = targetPositions[i3] * newScale;
-            const ty = targetPositions[i3 + 1] * newScale;
-            const tz = targetPositions[i3 + 2] * newScale;
+        // audio multiplies on top of the hand scale
+        const audioScale = applyAudioReaction(material, performance.now());
+
+        // per-particle morphing happens in the vertex shader, only uniforms change here
+        const { morphTransition, morphStartTime, morphMaxRadius } = threeRefs.current;
+        const morphTime = (performance.now() - morphStartTime) / 1000;
+        Object.entries(getTransitionUniforms(morphTransition, morphTime, morphMaxRadius)).forEach(
+            ([name, value]) => {
+                material.uniforms[name].value = value;
+            }
+        );
+        material.uniforms.u_colorProgress.value = getBlendProgress(
+            threeRefs.current.colorStartTime,
+            COLOR_BLEND_RATE
+        );
+        material.uniforms.u_scale.value = newScale * audioScale;
 
-            positions[i3] = lerp(positions[i3], tx, 0.08);
-            positions[i3 + 1] = lerp(positions[i3 + 1], ty, 0.08);
-            positions[i3 + 2] = lerp(positions[i3 + 2], tz, 0.08);
+        const { tintFrom, tintTo, tintStartTime, tintRate } = threeRefs.current;
+        if (tintTo) {
+            material.uniforms.u_color.value.lerpColors(tintFrom, tintTo, getBlendProgress(tintStartTime, tintRate));
         }
 
-        geometry.attributes.position.needsUpdate = true;
+        // twinkle and drift, stirred up by an open hand
+        const openness = lerp(threeRefs.current.handOpenness ?? 0, threeRefs.current.handOpennessTarget ?? 0, follow);
+        threeRefs.current.handOpenness = openness;
+        const motionNow = performance.now();
+        const motionPhases = advanceMotionPhases(
+            threeRefs.current.motionPhases,
+            motionRefs.current.options,
+            (motionNow - threeRefs.current.motionTime) / 1000
+        );
+        threeRefs.current.motionPhases = motionPhases;
+        threeRefs.current.motionTime = motionNow;
+        Object.entries(getMotionUniforms(motionRefs.current.options, motionPhases, openness)).forEach(
+            ([name, value]) => {
+                material.uniforms[name].value = value;
+            }
+        );
+
+        updatePlaylist(performance.now());
+
+        applyForceField(material, performance.now());
 
-        const hasHand = !!threeRefs.current.isHandDetected;
         const particlesRotation = particles.rotation;
         const currentPattern = threeRefs.current.currentPattern;
 
-        if (hasHand) {
-            // Hand detected: smooth rotation based on hand position
-            const targetRotX = threeRefs.current.rotationXTarget ?? 0;
-            const targetRotY = threeRefs.current.rotationYTarget ?? 0;
+        particles.position.x = lerp(particles.position.x, input.panXTarget, follow);
+        particles.position.y = lerp(particles.position.y, input.panYTarget, follow);
+
+        if (input.isSteered) {
+            // hand or pointer in control: follow its targets
+            if (!threeRefs.current.steerStart) {
+                // the idle spin winds y up: take the nearest turn so the shape doesn't unwind
+                const turns = Math.round((particlesRotation.y - input.rotationYTarget) / (Math.PI * 2));
+                particlesRotation.y -= turns * Math.PI * 2;
+                threeRefs.current.steerStart = {
+                    time: frameTime,
+                    x: particlesRotation.x,
+                    y: particlesRotation.y,
+                    z: particlesRotation.z
+                };
+                threeRefs.current.steerRotation = { ...threeRefs.current.steerStart };
+            }
 
-            particlesRotation.x = lerp(particlesRotation.x, targetRotX, 0.1);
-            particlesRotation.y = lerp(particlesRotation.y, targetRotY, 0.1);
-            particlesRotation.z = lerp(particlesRotation.z, 0, 0.1);
+            // the first target may be far from the idle pose: blend in instead of snapping to it
+            const start = threeRefs.current.steerStart;
+            const steer = threeRefs.current.steerRotation;
+            steer.x = lerp(steer.x, input.rotationXTarget, follow);
+            steer.y = lerp(steer.y, input.rotationYTarget, follow);
+            steer.z = lerp(steer.z, input.rotationZTarget, follow);
+            const blend = Math.min(1, (frameTime - start.time) / STEER_BLEND_TIME);
+            const ease = blend * blend * (3 - 2 * blend);
+            particlesRotation.x = lerp(start.x, steer.x, ease);
+            particlesRotation.y = lerp(start.y, steer.y, ease);
+            particlesRotation.z = lerp(start.z, steer.z, ease);
+            threeRefs.current.rotationReset = null;
         } else {
+            threeRefs.current.steerStart = null;
             // No hand: idle rotation with pattern-specific tilt angles
-            if (currentPattern === 'galaxy') {
-                // Galaxy: tilted view
-                const baseTiltX = Math.PI / 8;   // tilt towards user
-                const baseTiltZ = Math.PI / 10;  // left high, right low
-                particlesRotation.x = lerp(particlesRotation.x, baseTiltX, 0.1);
-                particlesRotation.z = lerp(particlesRotation.z, baseTiltZ, 0.1);
-            } else if (currentPattern === 'torus') {
-                // Torus: slightly tilted view
-                const baseTiltX = Math.PI / 8;
-                const baseTiltZ = Math.PI / 14;
-                particlesRotation.x = lerp(particlesRotation.x, baseTiltX, 0.1);
-                particlesRotation.z = lerp(particlesRotation.z, baseTiltZ, 0.1);
+            const tilt = getPattern(currentPattern)?.tilt ?? { x: 0, z: 0 };
+            const reset = threeRefs.current.rotationReset;
+            if (reset) {
+                // a pattern change turns the shape back to front along with its transition
+                const progress = getOverallProgress(morphTransition, morphTime);
+                particlesRotation.x = lerp(reset.x, tilt.x, progress);
+                particlesRotation.y = lerp(reset.y, 0, progress);
+                if (morphTime >= morphTransition.duration) threeRefs.current.rotationReset = null;
             } else {
-                // Other patterns: horizontal position
-                particlesRotation.x = lerp(particlesRotation.x, 0, 0.1);
-                particlesRotation.z = lerp(particlesRotation.z, 0, 0.1);
+                particlesRotation.x = lerp(particlesRotation.x, tilt.x, 0.1);
+                // Continuous rotation around Y axis for all patterns
+                particlesRotation.y += 0.001;
             }
-            // Continuous rotation around Y axis for all patterns
-            particlesRotation.y += 0.001;
+            particlesRotation.z = lerp(particlesRotation.z, tilt.z, 0.1);
         }
 
-        renderer.render(scene, camera);
-    }, []);
-
-    // load MediaPipe scripts
-    useEffect(() => {
-        Promise.all([
-            loadScript(
-                'https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.js',
-                'mediapipe-hands'
-            ),
-            loadScript(
-                'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js',
-                'mediapipe-camera'
-            )
-        ])
-            .then(() => setIsMediaPipeReady(true))
-            .catch(err => {
-                console.error('Failed to load MediaPipe scripts:', err);
-                alert('Failed to load gesture recognition library. Please refresh the page.');
-            });
+        threeRefs.current.post.render();
+        captureRefs.current.recorder?.drawFrame();
     }, []);
 
     // init three.js scene
@@ -522,25 +786,28 @@ const ParticleGestureSystem = () => {
         renderer.setPixelRatio(window.devicePixelRatio);
         container.appendChild(renderer.domElement);
 
-        const { positions, targetPositions, sizes, colors } = generateParticleData(
-            selectedPattern,
-            PARTICLE_COUNT,
-            drawCanvasRef.current
-        );
-
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute(
-            'a_target',
-            new THREE.BufferAttribute(targetPositions, 3)
-        );
-        geometry.setAttribute('a_size', new THREE.BufferAttribute(sizes, 1));
-        geometry.setAttribute('a_color', new THREE.BufferAttribute(colors, 3));
+        const data = applyColorScheme(generatePattern(selectedPattern));
+        const geometry = createParticleGeometry(data);
 
         const material = new THREE.ShaderMaterial({
             uniforms: {
                 u_color: { value: new THREE.Color(particleColor) },
-                u_texture: { value: generateParticleTexture() }
+                u_texture: { value: generateParticleTexture() },
+                ...Object.fromEntries(
+                    Object.entries(
+                        getTransitionUniforms(resolveTransition(transition), 0, getMaxRadius(data.targetPositions))
+                    ).map(([name, value]) => [name, { value }])
+                ),
+                u_colorProgress: { value: 1 },
+                u_scale: { value: 1 },
+                u_sizeScale: { value: getPointSizeScale(renderer.getPixelRatio(), particleCount) },
+                u_sizeJitter: { value: 0 },
+                u_jitterPhase: { value: 0 },
+                u_hueShift: { value: 0 },
+                u_fieldOffsets: { value: null },
+                ...Object.fromEntries(
+                    Object.entries(getMotionUniforms(motionOptions, INITIAL_MOTION_PHASES, 0)).map(([name, value]) => [name, { value }])
+                )
             },
             vertexShader,
             fragmentShader,
@@ -550,21 +817,79 @@ const ParticleGestureSystem = () => {
         });
 
         const particles = new THREE.Points(geometry, material);
+        // real positions are only known in the shader, so the bounding sphere is meaningless
+        particles.frustumCulled = false;
         scene.add(particles);
 
+        // fingertip marker for the force field, sized to its radius
+        const cursorMarker = new THREE.Mesh(
+            new THREE.RingGeometry(0.95, 1, 48),
+            new THREE.MeshBasicMaterial({ color: CURSOR_COLORS.repel, transparent: true, opacity: 0.6 })
+        );
+        cursorMarker.visible = false;
+        scene.add(cursorMarker);
+
+        // air-drawing trail, in the particles' space like the custom pattern it turns into
+        const airTrailGeometry = new THREE.BufferGeometry();
+        airTrailGeometry.setAttribute(
+            'position',
+            new THREE.BufferAttribute(new Float32Array((AIR_MAX_POINTS + 1) * 3), 3)
+        );
+        const airTrail = new THREE.Points(
+            airTrailGeometry,
+            new THREE.PointsMaterial({
+                color: CURSOR_COLORS.repel,
+                size: 0.12,
+                map: generateParticleTexture(),
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+                transparent: true
+            })
+        );
+        airTrail.frustumCulled = false;
+        airTrail.visible = false;
+        particles.add(airTrail);
+
+        const pointerInput = createPointerInput(renderer.domElement);
+
+        // effects cost several full-screen passes, too much for weak devices
+        const post = createPostProcessing({ renderer, scene, camera });
+        setIsSlowForPost(isLowEndDevice(renderer));
+
         threeRefs.current = {
             scene,
             camera,
             renderer,
+            post,
+            pointerInput,
             particles,
             geometry,
             material,
+            cursorMarker,
+            airTrail,
+            forceField: tryCreateForceField(renderer, particleCount),
+            fieldCursor: null,      // index fingertip from the tracker, image space
+            particleCount,
             handScaleTarget: 1,
             handScaleCurrent: 1,
+            handOpennessTarget: 0,  // 0 fist / no hand .. 1 open palm
+            handOpenness: 0,
+            steerStart: null,       // rotation and time when a hand or the pointer took over
+            steerRotation: null,    // rotation following the steering targets since then
+            rotationOffset: null,   // hand rotation that counts as zero, see 'reset_rotation'
+            motionPhases: INITIAL_MOTION_PHASES,  // twinkle / drift clocks, see motion.js
+            motionTime: performance.now(),
+            morphStartTime: performance.now(),
+            morphTransition: resolveTransition(transition),
+            morphMaxRadius: getMaxRadius(data.targetPositions),
+            rotationReset: null,    // rotation at the last pattern change, eased back with the transition
+            colorStartTime: performance.now(),
+            baseColors: data.baseColors,  // pattern colors before the color scheme
             currentPattern: selectedPattern,
             isHandDetected: false,  // if a hand is currently detected
             rotationXTarget: 0,     // target rotation around X from hand
-            rotationYTarget: 0      // target rotation around Y from hand
+            rotationYTarget: 0,     // target rotation around Y from hand
+            rotationZTarget: 0      // target rotation around Z from two-hand twist
         };
 
         animate();
@@ -573,7 +898,7 @@ const ParticleGestureSystem = () => {
             if (!containerRef.current) return;
             camera.aspect = container.clientWidth / container.clientHeight;
             camera.updateProjectionMatrix();
-            renderer.setSize(container.clientWidth, container.clientHeight);
+            post.setSize(container.clientWidth, container.clientHeight);
         };
 
         window.addEventListener('resize', handleResize);
@@ -582,9 +907,17 @@ const ParticleGestureSystem = () => {
             window.removeEventListener('resize', handleResize);
             if (threeRefs.current.animationId)
                 cancelAnimationFrame(threeRefs.current.animationId);
+            pointerInput.dispose();
+            post.dispose();
+            threeRefs.current.forceField?.dispose();
             renderer.dispose();
-            geometry.dispose();
+            particles.geometry.dispose();
             material.dispose();
+            cursorMarker.geometry.dispose();
+            cursorMarker.material.dispose();
+            airTrailGeometry.dispose();
+            airTrail.material.map.dispose();
+            airTrail.material.dispose();
             if (container.contains(renderer.domElement)) {
                 container.removeChild(renderer.domElement);
             }
@@ -592,37 +925,38 @@ const ParticleGestureSystem = () => {
         };
     }, [animate]);
 
-    // init MediaPipe Hands
+    // init hand tracking
     useEffect(() => {
-        if (!isWebcamActive || !isMediaPipeReady || !videoRef.current) {
+        if (!isWebcamActive || !videoRef.current) {
             // when camera is off or not ready, reset scale and hand flags
-            if (mediaPipeRefs.current.camera) {
-                mediaPipeRefs.current.camera.stop();
-            }
-            mediaPipeRefs.current = {};
             if (threeRefs.current) {
                 threeRefs.current.handScaleTarget = 1;
                 threeRefs.current.isHandDetected = false;
                 threeRefs.current.rotationXTarget = 0;
                 threeRefs.current.rotationYTarget = 0;
+                threeRefs.current.rotationZTarget = 0;
+                threeRefs.current.fieldCursor = null;
+                threeRefs.current.handOpennessTarget = 0;
             }
             return;
         }
 
-        const hands = new window.Hands({
-            locateFile: file =>
-                `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`
-        });
+        // a loaded session replays through the same results handler as the camera
+        const backend = replaySession
+            ? createScriptedBackend({
+                frames: replaySession.frames,
+                onEnd: () => setIsReplayPlaying(false)
+            })
+            : createTrackingBackend({ video: videoRef.current });
+        backendRef.current = backend;
 
-        hands.setOptions({
-            maxNumHands: 1,
-            modelComplexity: 1,
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.5,
-            selfieMode: true
-        });
+        const gestureRecognizer = createGestureRecognizer();
+        // One Euro filters for the hand targets, fed once per tracking frame
+        const handFilters = createSignalFilters(HAND_SIGNALS);
+
+        const handleResults = results => {
+            recorderRef.current?.push(results);
 
-        hands.onResults(results => {
             // Draw video and hand landmarks on preview canvas
             const canvas = previewCanvasRef.current;
             if (canvas && videoRef.current) {
@@ -631,18 +965,20 @@ const ParticleGestureSystem = () => {
                     // Clear canvas
                     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-                    // Draw video frame (mirrored for selfie mode)
-                    ctx.save();
-                    ctx.scale(-1, 1);
-                    ctx.drawImage(videoRef.current, -canvas.width, 0, canvas.width, canvas.height);
-                    ctx.restore();
+                    // Draw video frame (mirrored for selfie mode), if the backend uses the camera
+                    if (videoRef.current.readyState >= 2) {
+                        ctx.save();
+                        ctx.scale(-1, 1);
+                        ctx.drawImage(videoRef.current, -canvas.width, 0, canvas.width, canvas.height);
+                        ctx.restore();
+                    }
 
-                    // Draw hand landmarks if detected
-                    if (results.multiHandLandmarks && results.multiHandLandmarks[0]) {
-                        const landmarks = results.multiHandLandmarks[0];
+                    // Draw hand landmarks for every detected hand
+                    getDetectedHands(results).forEach(({ landmarks, side }) => {
+                        const colors = HAND_COLORS[side];
 
                         // Draw connections
-                        ctx.strokeStyle = '#00FF00';
+                        ctx.strokeStyle = colors.line;
                         ctx.lineWidth = 2;
                         HAND_CONNECTIONS.forEach(([start, end]) => {
                             const startPoint = landmarks[start];
@@ -654,202 +990,421 @@ const ParticleGestureSystem = () => {
                         });
 
                         // Draw landmarks as circles (with mirrored X coordinates)
-                        ctx.fillStyle = '#FF0000';
+                        ctx.fillStyle = colors.point;
                         landmarks.forEach(landmark => {
                             ctx.beginPath();
                             ctx.arc((landmark.x) * canvas.width, landmark.y * canvas.height, 3, 0, 2 * Math.PI);
                             ctx.fill();
                         });
-                    }
+                    });
+                }
+            }
+
+            const detectedHands = getDetectedHands(results);
+
+            // air drawing: the fingertip only draws, hand control and gestures pause
+            const air = airRefs.current;
+            if (air.enabled) {
+                const pen = air.pen.update(getFingertipCursor(detectedHands), performance.now());
+                if (threeRefs.current.airTrail) writeAirTrail(threeRefs.current.airTrail, pen);
+                if (canvas) renderAirTrail(canvas.getContext('2d'), canvas.width, canvas.height, pen);
+                if (pen.finished) air.finishStroke(pen.finished);
+
+                Object.assign(threeRefs.current, mapHandsToTargets([]));
+                threeRefs.current.fieldCursor = null;
+                threeRefs.current.handOpennessTarget = 0;
+                gestureRecognizer.reset();
+                return;
+            }
+
+            // calibration wizard: the hand is only sampled, the scene stays put
+            const calibration = calibrationRefs.current;
+            if (calibration.wizard) {
+                calibration.onStep(calibration.wizard.update(detectedHands, performance.now()));
+
+                Object.assign(threeRefs.current, mapHandsToTargets([]));
+                threeRefs.current.fieldCursor = null;
+                threeRefs.current.handOpennessTarget = 0;
+                gestureRecognizer.reset();
+                return;
+            }
+
+            // a brief tracking dropout keeps the last targets instead of collapsing the shape
+            const now = performance.now();
+            if (detectedHands.length > 0) threeRefs.current.lastHandTime = now;
+            const isHolding =
+                detectedHands.length === 0 &&
+                threeRefs.current.isHandDetected &&
+                now - threeRefs.current.lastHandTime < filterRefs.current.options.holdTime;
+            const fieldCursor = getFingertipCursor(detectedHands);
+            if (!isHolding) {
+                const targets = mapHandsToTargets(detectedHands, threeRefs.current, calibration.calibration);
+                // a closed pinch attracts particles while the force field is on: keep the scale
+                // where it is instead of shrinking the shape at the same time
+                if (fieldRefs.current.enabled && detectedHands.length === 1 && fieldCursor?.isPinching) {
+                    targets.handScaleTarget = threeRefs.current.handScaleTarget ?? 1;
+                }
+                targets.handOpennessTarget = getHandOpenness(detectedHands);
+                if (targets.isHandDetected) {
+                    if (!threeRefs.current.isHandDetected) handFilters.reset();
+                    Object.assign(targets, handFilters.filter(targets, now / 1000, filterRefs.current.options));
+                }
+                Object.assign(threeRefs.current, targets);
+            }
+            threeRefs.current.fieldCursor = fieldCursor;
+
+            // discrete gestures only with a single hand, two hands mean bimanual control
+            const { enabled, bindings, runAction } = gestureRefs.current;
+            if (enabled && detectedHands.length === 1) {
+                const gesture = gestureRecognizer.update(
+                    detectedHands[0].landmarks,
+                    performance.now()
+                );
+                if (gesture) {
+                    setLastGesture(gesture);
+                    runAction?.(bindings[gesture]);
                 }
+            } else {
+                gestureRecognizer.reset();
+            }
+        };
+
+        setTrackingError(null);
+        backend.start(handleResults).catch(err => {
+            console.error('Failed to start hand tracking:', err);
+            setTrackingError('Hand tracking could not start. Check that a camera is connected and allowed.');
+            setIsWebcamActive(false);
+        });
+
+        return () => {
+            backend.stop();
+            backendRef.current = null;
+            threeRefs.current.fieldCursor = null;
+            // tracking stopped mid-recording: save what we have
+            if (recorderRef.current?.isRecording()) {
+                downloadSession(recorderRef.current.stop());
+                setIsRecording(false);
             }
+        };
+    }, [isWebcamActive, createTrackingBackend, replaySession]);
 
-            if (results.multiHandLandmarks && results.multiHandLandmarks[0]) {
-                const landmarks = results.multiHandLandmarks[0];
+    // apply playback controls to the running replay
+    useEffect(() => {
+        const backend = backendRef.current;
+        if (!replaySession || !backend) return;
+        backend.setLoop(replayLoop);
+        backend.setSpeed(replaySpeed);
+        if (isReplayPlaying) backend.play();
+        else backend.pause();
+    }, [replaySession, isReplayPlaying, replayLoop, replaySpeed]);
+
+    // session recording / replay
+    const toggleRecording = () => {
+        if (!recorderRef.current) recorderRef.current = createSessionRecorder();
+        const recorder = recorderRef.current;
+
+        if (recorder.isRecording()) {
+            downloadSession(recorder.stop());
+            setIsRecording(false);
+        } else {
+            recorder.start();
+            setIsRecording(true);
+        }
+    };
 
-                // Check if this is the first detection
-                const isFirstDetection = !threeRefs.current.isHandDetected;
+    const handleSessionFile = e => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        file.text()
+            .then(text => {
+                const session = parseSession(text);
+                setTrackingError(null);
+                setIsReplayPlaying(true);
+                setReplaySession(session);
+                setIsWebcamActive(true);
+            })
+            .catch(err => {
+                console.error('Failed to load session:', err);
+                setTrackingError(err.message);
+            });
+    };
 
-                // key points for scale
-                const t = landmarks[4];
-                const i = landmarks[8];
-                const w = landmarks[0];
-                const m = landmarks[9];
+    const toggleTracking = () => {
+        if (isWebcamActive) setReplaySession(null);
+        setIsWebcamActive(!isWebcamActive);
+    };
 
-                const dist = Math.hypot(t.x - i.x, t.y - i.y, t.z - i.z);
-                const baseDist = Math.hypot(w.x - m.x, w.y - m.y, w.z - m.z);
+    // fade from the colors on screen right now towards new per-particle colors
+    const blendToColors = colors => {
+        const { geometry, colorStartTime } = threeRefs.current;
+        if (!geometry) return;
 
-                if (baseDist > 0) {
-                    const normalizedDist = dist / baseDist;
-                    const minNorm = 0.05;
-                    const maxNorm = 1.2;
-                    const minScale = 0.2;
-                    const maxScale = 3;
+        const current = geometry.attributes.a_color;
+        const target = geometry.attributes.a_colorTarget;
 
-                    const clamped = Math.min(
-                        1,
-                        Math.max(0, (normalizedDist - minNorm) / (maxNorm - minNorm))
-                    );
+        // freeze the in-flight blend, same as the position snapshot in morphToTargets
+        const progress = getBlendProgress(colorStartTime, COLOR_BLEND_RATE);
+        for (let i = 0; i < current.array.length; i++) {
+            current.array[i] = lerp(current.array[i], target.array[i], progress);
+        }
+        target.copyArray(colors);
 
-                    threeRefs.current.handScaleTarget = lerp(minScale, maxScale, clamped);
-                    threeRefs.current.isHandDetected = true;
+        current.needsUpdate = true;
+        target.needsUpdate = true;
+        threeRefs.current.colorStartTime = performance.now();
+    };
 
-                    // use middle finger base as reference for rotation control
-                    // x controls left/right rotation, y controls up/down rotation
-                    const ref = m;
+    // start a transition from wherever the particles are now towards new target positions,
+    // sizes / colors (when given) come from the new pattern as well
+    const morphToTargets = (data, { transition: style = transition } = {}) => {
+        const { geometry } = threeRefs.current;
+        if (!geometry) return;
 
-                    // map from [0,1] image space to [-1,1]
-                    const normX = (ref.x - 0.5) * 2; // left (-1) to right (+1)
-                    const normY = (ref.y - 0.5) * 2; // up (-1) to down (+1)
+        const { targetPositions, sizes, colors, baseColors } = data.colors ? applyColorScheme(data) : data;
 
-                    const maxRotY = Math.PI / 4; // 45 degrees left/right
-                    const maxRotX = Math.PI / 6; // 30 degrees up/down
+        const start = geometry.attributes.position;
+        const target = geometry.attributes.a_target;
 
-                    // Invert Y so that moving hand up rotates shape upward
-                    const newRotY = normX * maxRotY;
-                    const newRotX = -normY * maxRotX;
+        // freeze the in-flight transition into the start attribute
+        getMorphedPositions(threeRefs.current, start.array);
+        target.copyArray(targetPositions);
 
-                    // If first detection, initialize to current rotation to prevent jumps
-                    if (isFirstDetection && threeRefs.current.particles) {
-                        const currentRot = threeRefs.current.particles.rotation;
-                        threeRefs.current.rotationXTarget = currentRot.x;
-                        threeRefs.current.rotationYTarget = currentRot.y;
-                    }
+        start.needsUpdate = true;
+        target.needsUpdate = true;
 
-                    // Smoothly update rotation targets (extra smoothing at source)
-                    const smoothing = isFirstDetection ? 0.05 : 0.2;
-                    threeRefs.current.rotationXTarget = lerp(
-                        threeRefs.current.rotationXTarget ?? newRotX,
-                        newRotX,
-                        smoothing
-                    );
-                    threeRefs.current.rotationYTarget = lerp(
-                        threeRefs.current.rotationYTarget ?? newRotY,
-                        newRotY,
-                        smoothing
-                    );
-                }
-            } else {
-                // no hand detected: reset scale and rotation targets
-                threeRefs.current.handScaleTarget = 1;
-                threeRefs.current.isHandDetected = false;
-                threeRefs.current.rotationXTarget = 0;
-                threeRefs.current.rotationYTarget = 0;
+        if (sizes) {
+            geometry.attributes.a_size.copyArray(sizes);
+            geometry.attributes.a_size.needsUpdate = true;
+        }
+        if (colors) {
+            blendToColors(colors);
+            threeRefs.current.baseColors = baseColors;
+        }
+        threeRefs.current.morphStartTime = performance.now();
+        threeRefs.current.morphTransition = resolveTransition(style);
+        threeRefs.current.morphMaxRadius = getMaxRadius(targetPositions);
+    };
+
+    // rebuild particle buffers for a new count, keeping the renderer and material
+    useEffect(() => {
+        const { particles, geometry, material, renderer, currentPattern } = threeRefs.current;
+        if (!particles || threeRefs.current.particleCount === particleCount) return;
+
+        const data = applyColorScheme(generatePattern(currentPattern));
+
+        // new particles start where the old ones currently are, then morph on
+        const oldPositions = getMorphedPositions(
+            threeRefs.current,
+            new Float32Array(geometry.attributes.position.array.length)
+        );
+        const oldCount = oldPositions.length / 3;
+        for (let i = 0; i < particleCount; i++) {
+            const i3 = i * 3;
+            const j3 = Math.floor((i * oldCount) / particleCount) * 3;
+            for (let k = 0; k < 3; k++) {
+                data.positions[i3 + k] = oldPositions[j3 + k];
             }
-        });
+        }
 
-        const camera = new window.Camera(videoRef.current, {
-            onFrame: async () => {
-                await hands.send({ image: videoRef.current });
-            },
-            width: 640,
-            height: 480
-        });
+        const newGeometry = createParticleGeometry(data);
+        particles.geometry = newGeometry;
+        geometry.dispose();
+
+        material.uniforms.u_sizeScale.value = getPointSizeScale(renderer.getPixelRatio(), particleCount);
+
+        threeRefs.current.geometry = newGeometry;
+        threeRefs.current.forceField?.dispose();
+        threeRefs.current.forceField = tryCreateForceField(renderer, particleCount);
+        material.uniforms.u_fieldOffsets.value = null;
+        threeRefs.current.baseColors = data.baseColors;
+        threeRefs.current.particleCount = particleCount;
+        threeRefs.current.morphStartTime = performance.now();
+        threeRefs.current.morphMaxRadius = getMaxRadius(data.targetPositions);
+    }, [particleCount]);
+
+    // auto quality: step pixel ratio and particle count to hold the target fps.
+    // ladder, cheapest loss first: pixel ratio down to 1, then particles, then pixel ratio below 1
+    const applyQualityStep = step => {
+        const { renderer, material } = threeRefs.current;
+        if (!renderer) return;
+
+        const maxRatio = window.devicePixelRatio;
+        const ratio = renderer.getPixelRatio();
+        const countIndex = PARTICLE_COUNT_OPTIONS.indexOf(particleCount);
+        let nextRatio = ratio;
+        let nextCount = particleCount;
+
+        if (step === 'down') {
+            if (ratio > 1) nextRatio = Math.max(1, ratio - PIXEL_RATIO_STEP);
+            else if (countIndex > 0) nextCount = PARTICLE_COUNT_OPTIONS[countIndex - 1];
+            else nextRatio = Math.max(MIN_PIXEL_RATIO, ratio - PIXEL_RATIO_STEP);
+        } else {
+            if (ratio < Math.min(1, maxRatio)) nextRatio = Math.min(1, maxRatio);
+            else if (countIndex < PARTICLE_COUNT_OPTIONS.length - 1) nextCount = PARTICLE_COUNT_OPTIONS[countIndex + 1];
+            else nextRatio = Math.min(maxRatio, ratio + PIXEL_RATIO_STEP);
+        }
 
-        camera.start();
-        mediaPipeRefs.current = { hands, camera };
+        if (nextRatio !== ratio) {
+            threeRefs.current.post.setPixelRatio(nextRatio);
+            material.uniforms.u_sizeScale.value = getPointSizeScale(nextRatio, particleCount);
+            setPixelRatio(nextRatio);
+        }
+        if (nextCount !== particleCount) setParticleCount(nextCount);
 
-        return () => {
-            camera.stop();
-            hands.close();
-        };
-    }, [isWebcamActive, isMediaPipeReady]);
+        setMeasuredFps(qualityRefs.current.controller?.getFps() ?? null);
+    };
+
+    qualityRefs.current.applyStep = applyQualityStep;
+
+    useEffect(() => {
+        qualityRefs.current.controller = autoQuality
+            ? createQualityController({ targetFps })
+            : null;
+        if (autoQuality) return;
+
+        // leaving auto mode restores full resolution, the particle count stays as chosen
+        setMeasuredFps(null);
+        const { renderer, material, post } = threeRefs.current;
+        if (renderer && renderer.getPixelRatio() !== window.devicePixelRatio) {
+            post.setPixelRatio(window.devicePixelRatio);
+            material.uniforms.u_sizeScale.value = getPointSizeScale(
+                window.devicePixelRatio,
+                threeRefs.current.particleCount
+            );
+            setPixelRatio(window.devicePixelRatio);
+        }
+    }, [autoQuality, targetFps]);
 
     // update pattern
     useEffect(() => {
         if (!threeRefs.current.geometry) return;
 
         // Show draw panel when custom pattern is selected
-        if (selectedPattern === 'custom') {
-            setShowDrawPanel(true);
-            // Pre-compute custom particles if canvas exists
-            if (drawCanvasRef.current && window.customParticlesCache) {
-                const { targetPositions } = generateParticleData(
-                    selectedPattern,
-                    PARTICLE_COUNT,
-                    drawCanvasRef.current
-                );
-                threeRefs.current.geometry.attributes.a_target.copyArray(targetPositions);
-                threeRefs.current.geometry.attributes.a_target.needsUpdate = true;
-            }
-            threeRefs.current.currentPattern = selectedPattern;
-            return;
-        }
+        if (selectedPattern === 'custom') setShowDrawPanel(true);
 
-        const { targetPositions } = generateParticleData(
-            selectedPattern,
-            PARTICLE_COUNT,
-            drawCanvasRef.current
-        );
-        threeRefs.current.geometry.attributes.a_target.copyArray(targetPositions);
-        threeRefs.current.geometry.attributes.a_target.needsUpdate = true;
+        // a playlist step may ask for its own transition length
+        const { pendingDuration } = threeRefs.current;
+        threeRefs.current.pendingDuration = null;
+
+        const data = generatePattern(selectedPattern);
+        morphToTargets(data, {
+            transition: pendingDuration === null || pendingDuration === undefined
+                ? transition
+                : { ...transition, duration: pendingDuration }
+        });
         threeRefs.current.currentPattern = selectedPattern;
 
-        // reset rotation when switching pattern to keep shape nicely aligned
-        if (threeRefs.current.particles) {
-            threeRefs.current.particles.rotation.y = 0;
-            threeRefs.current.particles.rotation.x = 0;
+        // turn the shape back to front during the transition to keep it nicely aligned;
+        // y is wrapped first so the idle spin doesn't unwind several full turns.
+        // a loaded preset brings its own rotation instead
+        const { particles, pendingRotation } = threeRefs.current;
+        threeRefs.current.pendingRotation = null;
+        if (particles && pendingRotation) {
+            particles.rotation.set(pendingRotation.x, pendingRotation.y, pendingRotation.z);
+            threeRefs.current.rotationReset = null;
+        } else if (particles) {
+            const y = particles.rotation.y;
+            particles.rotation.y = Math.atan2(Math.sin(y), Math.cos(y));
+            threeRefs.current.rotationReset = { x: particles.rotation.x, y: particles.rotation.y };
         }
     }, [selectedPattern]);
 
-    // update color
+    // patterns with their own colors (images, colored models) show them untinted, unless a
+    // color scheme replaces them
+    const isTintBypassed = !!getPattern(selectedPattern)?.ownColors && colorOptions.mode === 'pattern';
+
+    // update color: fade the tint from whatever is on screen, the animation loop applies it
+    useEffect(() => {
+        const { material, pendingTintRate } = threeRefs.current;
+        if (!material) return;
+        threeRefs.current.pendingTintRate = null;
+        threeRefs.current.tintFrom = material.uniforms.u_color.value.clone();
+        threeRefs.current.tintTo = new THREE.Color(isTintBypassed ? '#ffffff' : particleColor);
+        threeRefs.current.tintStartTime = performance.now();
+        threeRefs.current.tintRate = pendingTintRate ?? COLOR_BLEND_RATE;
+    }, [particleColor, isTintBypassed]);
+
+    // recolor the current shape when the color scheme changes, blending over time
     useEffect(() => {
-        if (!threeRefs.current.material) return;
-        threeRefs.current.material.uniforms.u_color.value.set(particleColor);
-    }, [particleColor]);
+        const { geometry, baseColors } = threeRefs.current;
+        if (!geometry || !baseColors) return;
+        blendToColors(
+            computeParticleColors(geometry.attributes.a_target.array, baseColors, colorOptions)
+        );
+    }, [colorOptions]);
 
     // drawing canvas handlers
-    const initDrawCanvas = useCallback(() => {
-        const canvas = drawCanvasRef.current;
-        if (!canvas) return;
 
-        canvas.width = 300;
-        canvas.height = 300;
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 3;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-
-        // Initialize cache with empty canvas (small sphere)
-        if (!window.customParticlesCache) {
-            window.customParticlesCache = extractParticlesFromCanvas(canvas, PARTICLE_COUNT);
-        }
-    }, []);
+    // every change to the drawing goes through here, so it can be undone
+    const commitStrokes = strokes => {
+        setDrawHistory(history => ({
+            undo: [...history.undo, drawStrokes].slice(-DRAW_HISTORY_LIMIT),
+            redo: []
+        }));
+        setDrawStrokes(strokes);
+    };
 
-    const clearDrawCanvas = () => {
-        const canvas = drawCanvasRef.current;
-        if (!canvas) return;
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // undo / redo return the strokes they restored, or null when there was nothing to do
+    const undoDrawing = () => {
+        if (drawHistory.undo.length === 0) return null;
+        const strokes = drawHistory.undo[drawHistory.undo.length - 1];
+        setDrawHistory({
+            undo: drawHistory.undo.slice(0, -1),
+            redo: [...drawHistory.redo, drawStrokes]
+        });
+        setDrawStrokes(strokes);
+        return strokes;
+    };
 
-        // Update cache after clearing
-        window.customParticlesCache = extractParticlesFromCanvas(canvas, PARTICLE_COUNT);
-        applyDrawing();
+    const redoDrawing = () => {
+        if (drawHistory.redo.length === 0) return null;
+        const strokes = drawHistory.redo[drawHistory.redo.length - 1];
+        setDrawHistory({
+            undo: [...drawHistory.undo, drawStrokes],
+            redo: drawHistory.redo.slice(0, -1)
+        });
+        setDrawStrokes(strokes);
+        return strokes;
     };
 
-    const applyDrawing = () => {
-        if (!threeRefs.current.geometry || !drawCanvasRef.current) return;
+    const clearDrawCanvas = () => {
+        commitStrokes([]);
+        applyDrawing([]);
+    };
 
-        // Pre-compute particles from canvas (only once)
-        const particles = extractParticlesFromCanvas(
-            drawCanvasRef.current,
-            PARTICLE_COUNT
+    // morph to a drawing; the strokes are passed in when they were only just set
+    const applyDrawing = (strokes = drawStrokes) => {
+        if (!threeRefs.current.geometry) return;
+        morphToTargets(
+            generatePattern('custom', { customParticles: sampleStrokes(strokes, particleCount) })
         );
+    };
+
+    // sampled particles as dots next to the canvas, at most once per frame
+    const updateDrawPreview = strokes => {
+        if (drawPreviewFrameRef.current) cancelAnimationFrame(drawPreviewFrameRef.current);
+        drawPreviewFrameRef.current = requestAnimationFrame(() => {
+            drawPreviewFrameRef.current = null;
+            if (drawPreviewRef.current) {
+                renderParticlePreview(drawPreviewRef.current, sampleStrokes(strokes, DRAW_PREVIEW_COUNT));
+            }
+        });
+    };
 
-        console.log('Extracted particles:', particles?.length, 'First particle:', particles?.[0]);
-        window.customParticlesCache = particles;
+    // redraw the canvas with the stroke in progress on top
+    const renderActiveStroke = () => {
+        const strokes = [...drawStrokes, activeStrokeRef.current];
+        renderStrokes(drawCanvasRef.current, strokes);
+        updateDrawPreview(strokes);
+    };
 
-        const { targetPositions } = generateParticleData(
-            'custom',
-            PARTICLE_COUNT,
-            drawCanvasRef.current
-        );
-        threeRefs.current.geometry.attributes.a_target.copyArray(targetPositions);
-        threeRefs.current.geometry.attributes.a_target.needsUpdate = true;
+    const getDrawPoint = (e, canvas) => {
+        const rect = canvas.getBoundingClientRect();
+        const x = (e.clientX ?? e.touches?.[0]?.clientX) - rect.left;
+        const y = (e.clientY ?? e.touches?.[0]?.clientY) - rect.top;
+        return [x / rect.width, y / rect.height];
     };
 
     const handleDrawStart = (e) => {
@@ -857,66 +1412,707 @@ const ParticleGestureSystem = () => {
         setIsDrawing(true);
         const canvas = drawCanvasRef.current;
         if (!canvas) return;
-        const rect = canvas.getBoundingClientRect();
-        const x = (e.clientX ?? e.touches?.[0]?.clientX) - rect.left;
-        const y = (e.clientY ?? e.touches?.[0]?.clientY) - rect.top;
-        const ctx = canvas.getContext('2d');
-
-        // Ensure stroke style is set
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 3;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-
-        ctx.beginPath();
-        ctx.moveTo(x, y);
+        const point = getDrawPoint(e, canvas);
+        // shapes keep start and end, the end follows the pointer
+        activeStrokeRef.current = {
+            tool: drawTool,
+            size: brushSize,
+            points: isShapeTool(drawTool) ? [point, point] : [point]
+        };
+        renderActiveStroke();
     };
 
     const handleDrawMove = (e) => {
         e.preventDefault();
-        if (!isDrawing) return;
+        const stroke = activeStrokeRef.current;
+        if (!isDrawing || !stroke) return;
         const canvas = drawCanvasRef.current;
         if (!canvas) return;
-        const rect = canvas.getBoundingClientRect();
-        const x = (e.clientX ?? e.touches?.[0]?.clientX) - rect.left;
-        const y = (e.clientY ?? e.touches?.[0]?.clientY) - rect.top;
-        const ctx = canvas.getContext('2d');
-        ctx.lineTo(x, y);
-        ctx.stroke();
+        const point = getDrawPoint(e, canvas);
+        if (isShapeTool(stroke.tool)) stroke.points[1] = point;
+        else stroke.points.push(point);
+        renderActiveStroke();
     };
 
     const handleDrawEnd = () => {
         setIsDrawing(false);
+        const stroke = activeStrokeRef.current;
+        activeStrokeRef.current = null;
+        if (stroke) commitStrokes([...drawStrokes, stroke]);
     };
 
+    // the canvas and preview always show the current strokes (panel opened, undo, drawing loaded)
     useEffect(() => {
-        if (showDrawPanel) {
-            initDrawCanvas();
-            // Apply initial drawing after canvas is ready
-            setTimeout(() => {
-                if (selectedPattern === 'custom') {
-                    applyDrawing();
-                }
-            }, 100);
+        const canvas = drawCanvasRef.current;
+        if (!showDrawPanel || !canvas) return;
+        canvas.width = DRAW_CANVAS_SIZE;
+        canvas.height = DRAW_CANVAS_SIZE;
+        renderStrokes(canvas, drawStrokes);
+        updateDrawPreview(drawStrokes);
+    }, [showDrawPanel, drawStrokes]);
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) while the draw panel is open
+    useEffect(() => {
+        if (!showDrawPanel) return;
+        const handleKeyDown = e => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.tagName === 'INPUT') return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) undoDrawing();
+            else if (key === 'y' || (key === 'z' && e.shiftKey)) redoDrawing();
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [showDrawPanel, drawStrokes, drawHistory]);
+
+    // ---------- air drawing ----------
+
+    // a finished air stroke joins the drawing and shows up as particles right away
+    const finishAirStroke = stroke => {
+        const strokes = [...drawStrokes, stroke];
+        commitStrokes(strokes);
+        applyDrawing(strokes);
+    };
+
+    const startAirDrawing = () => {
+        setIsWebcamActive(true);
+        setShowDrawPanel(false);
+        setIsAirDrawing(true);
+    };
+
+    const stopAirDrawing = () => {
+        setIsAirDrawing(false);
+        setShowDrawPanel(true);
+    };
+
+    const undoAirStroke = () => {
+        const strokes = undoDrawing();
+        if (strokes) applyDrawing(strokes);
+    };
+
+    airRefs.current.enabled = isAirDrawing;
+    airRefs.current.finishStroke = finishAirStroke;
+
+    // show the trail only while air drawing, and drop any half-drawn stroke on stop
+    useEffect(() => {
+        const { airTrail } = threeRefs.current;
+        if (!isAirDrawing) airRefs.current.pen.reset();
+        if (!airTrail) return;
+        airTrail.visible = isAirDrawing;
+        airTrail.geometry.setDrawRange(0, 0);
+    }, [isAirDrawing]);
+
+    // air drawing belongs to the custom pattern and needs the tracker
+    useEffect(() => {
+        if (selectedPattern !== 'custom' || !isWebcamActive) setIsAirDrawing(false);
+    }, [selectedPattern, isWebcamActive]);
+
+    // keep the last-used settings for the next visit
+    useEffect(() => {
+        saveSettings({ pattern: selectedPattern, particleColor, showControls, strokes: drawStrokes });
+    }, [selectedPattern, particleColor, showControls, drawStrokes]);
+
+    // ---------- saved drawings ----------
+
+    const refreshDrawings = async () => {
+        setDrawings(await galleryRef.current.list());
+    };
+
+    // gallery errors are shown in the draw panel, never thrown at the user
+    const runGalleryAction = async action => {
+        if (!galleryRef.current) return;
+        try {
+            await action(galleryRef.current);
+            await refreshDrawings();
+            setGalleryError(null);
+        } catch (err) {
+            console.error('Drawing gallery failed:', err);
+            setGalleryError(err.message || 'Could not access the saved drawings.');
+        }
+    };
+
+    useEffect(() => {
+        let cancelled = false;
+        openDrawingGallery()
+            .then(async gallery => {
+                if (cancelled) return;
+                galleryRef.current = gallery;
+                setDrawings(await gallery.list());
+            })
+            .catch(err => {
+                console.error('Could not open the drawing gallery:', err);
+                setGalleryError('Saved drawings are not available in this browser.');
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const saveDrawing = () =>
+        runGalleryAction(async gallery => {
+            await gallery.save({
+                name: drawingName.trim() || `Drawing ${drawings.length + 1}`,
+                strokes: drawStrokes
+            });
+            setDrawingName('');
+        });
+
+    const renameDrawing = (drawing, name) => {
+        const trimmed = name.trim();
+        if (!trimmed || trimmed === drawing.name) return;
+        runGalleryAction(gallery => gallery.rename(drawing.id, trimmed));
+    };
+
+    const deleteDrawing = drawing => runGalleryAction(gallery => gallery.remove(drawing.id));
+
+    // show a saved drawing right away
+    const loadDrawing = drawing => {
+        const strokes = drawing.strokes.map(normalizeStroke);
+        commitStrokes(strokes);
+        if (selectedPattern === 'custom') applyDrawing(strokes);
+        else setSelectedPattern('custom');
+    };
+
+    // switch to a freshly (re-)registered pattern
+    const showImportedPattern = id => {
+        // re-importing the selected pattern keeps its id, so the pattern effect won't fire
+        if (id === selectedPattern) {
+            morphToTargets(generatePattern(id));
+        } else {
+            setSelectedPattern(id);
         }
-    }, [showDrawPanel, initDrawCanvas]);
+    };
+
+    // model import: register the file as a pattern and switch to it
+    const importModel = async file => {
+        try {
+            const object = await loadModelFile(file);
+            const name = file.name.replace(/\.[^.]+$/, '');
+            const id = registerModelPattern(name, object, { fillVolume: modelFillVolume });
+            setImportError(null);
+            showImportedPattern(id);
+        } catch (err) {
+            console.error('Failed to import model:', err);
+            setImportError(`Could not import ${file.name}: ${err.message}`);
+        }
+    };
+
+    // image import: sample pixels into a pattern with per-pixel colors
+    const importImage = async file => {
+        try {
+            const image = await loadImageFile(file);
+            const name = file.name.replace(/\.[^.]+$/, '');
+            const id = registerImagePattern(name, image, imageOptions);
+            imageSourcesRef.current[id] = { name, image };
+            setImportError(null);
+            showImportedPattern(id);
+        } catch (err) {
+            console.error('Failed to import image:', err);
+            setImportError(`Could not import ${file.name}: ${err.message}`);
+        }
+    };
+
+    // re-sample the selected image live while its controls change
+    useEffect(() => {
+        const source = imageSourcesRef.current[selectedPattern];
+        if (!source) return;
+        registerImagePattern(source.name, source.image, imageOptions);
+        morphToTargets(generatePattern(selectedPattern));
+    }, [imageOptions]);
+
+    // morph to the new text while typing (debounced, rasterizing every key is wasteful)
+    useEffect(() => {
+        if (selectedPattern !== 'text') return;
+        const timeout = setTimeout(() => morphToTargets(generatePattern('text')), 150);
+        return () => clearTimeout(timeout);
+    }, [textOptions]);
+
+    const handleImageFile = e => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) importImage(file);
+    };
+
+    const handleModelFile = e => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) importModel(file);
+    };
+
+    // files dropped anywhere on the app
+    const handleFileDrop = e => {
+        e.preventDefault();
+        const file = e.dataTransfer.files?.[0];
+        if (!file) return;
+
+        const extension = getFileExtension(file.name);
+        if (extension === 'json') {
+            loadPresetFile(file);
+        } else if (MODEL_EXTENSIONS.includes(extension)) {
+            importModel(file);
+        } else if (IMAGE_EXTENSIONS.includes(extension)) {
+            importImage(file);
+        } else {
+            setImportError(`Unsupported file: ${file.name}`);
+        }
+    };
 
     // fullscreen toggle
     const toggleFullscreen = () => {
         const container = containerRef.current;
         if (!container) return;
 
+        // browsers may refuse without a user click (e.g. when triggered by a gesture)
         if (!document.fullscreenElement) {
-            container.requestFullscreen();
-            setIsFullscreen(true);
+            container.requestFullscreen().catch(err => {
+                console.warn('Fullscreen request was rejected:', err);
+            });
         } else {
             document.exitFullscreen();
-            setIsFullscreen(false);
         }
     };
 
+    // keep button state in sync with Esc / gesture / API driven changes
+    useEffect(() => {
+        const handleFullscreenChange = () => setIsFullscreen(!!document.fullscreenElement);
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    }, []);
+
+    // actions triggered by recognized gestures
+    const runGestureAction = action => {
+        switch (action) {
+            case 'next_pattern':
+                setSelectedPattern(prev => stepValue(getCyclePatternIds(), prev, 1));
+                break;
+            case 'prev_pattern':
+                setSelectedPattern(prev => stepValue(getCyclePatternIds(), prev, -1));
+                break;
+            case 'cycle_color':
+                setParticleColor(prev => stepValue(COLOR_PRESETS, prev, 1));
+                break;
+            case 'reset_rotation': {
+                const { particles } = threeRefs.current;
+                if (particles) {
+                    // the hand's pose becomes the new zero, so the shape stays front-on
+                    // until the hand moves (cleared once the hand is lost)
+                    threeRefs.current.rotationOffset = {
+                        x: threeRefs.current.rotationXTarget ?? 0,
+                        y: threeRefs.current.rotationYTarget ?? 0,
+                        z: threeRefs.current.rotationZTarget ?? 0
+                    };
+                    particles.rotation.set(0, 0, 0);
+                    const now = performance.now() / 1000;
+                    threeRefs.current.steerStart = { time: now - STEER_BLEND_TIME, x: 0, y: 0, z: 0 };
+                    threeRefs.current.steerRotation = { x: 0, y: 0, z: 0 };
+                    threeRefs.current.rotationReset = null;
+                }
+                break;
+            }
+            case 'toggle_fullscreen':
+                toggleFullscreen();
+                break;
+            default:
+                break;
+        }
+    };
+
+    gestureRefs.current = {
+        enabled: gesturesEnabled,
+        bindings: gestureBindings,
+        runAction: runGestureAction
+    };
+
+    // ---------- calibration ----------
+
+    const activeCalibration = getActiveCalibration(calibrationProfiles);
+
+    const startCalibration = () => {
+        calibrationRefs.current.wizard = createCalibrationWizard();
+        setCalibrationStatus({ step: 0, progress: 0 });
+        setCalibrationError(null);
+    };
+
+    const stopCalibration = () => {
+        calibrationRefs.current.wizard = null;
+        setCalibrationStatus(null);
+    };
+
+    // recorded ranges become a profile (replacing one of the same name) and switch to it
+    const finishCalibration = samples => {
+        stopCalibration();
+        try {
+            const calibration = createCalibration(samples, activeCalibration);
+            const name = calibrationName.trim() || `Profile ${calibrationProfiles.profiles.length}`;
+            if (name === DEFAULT_PROFILE_NAME) {
+                throw new Error(`"${DEFAULT_PROFILE_NAME}" keeps the built-in ranges, please pick another name.`);
+            }
+            setCalibrationProfiles(({ profiles }) => ({
+                active: name,
+                profiles: [...profiles.filter(profile => profile.name !== name), { name, calibration }]
+            }));
+            setCalibrationName('');
+        } catch (err) {
+            setCalibrationError(err.message);
+        }
+    };
+
+    // one state update per visible change, not per tracking frame
+    const showCalibrationStep = ({ step, progress, samples }) => {
+        if (samples) {
+            finishCalibration(samples);
+            return;
+        }
+        const rounded = Math.round(progress * 20) / 20;
+        setCalibrationStatus(status =>
+            status?.step === step && status.progress === rounded ? status : { step, progress: rounded }
+        );
+    };
+
+    const selectCalibrationProfile = name => setCalibrationProfiles(state => ({ ...state, active: name }));
+
+    const deleteCalibrationProfile = name => {
+        if (name === DEFAULT_PROFILE_NAME) return;
+        setCalibrationProfiles(({ active, profiles }) => ({
+            active: active === name ? DEFAULT_PROFILE_NAME : active,
+            profiles: profiles.filter(profile => profile.name !== name)
+        }));
+    };
+
+    // invert options belong to the active profile
+    const updateActiveCalibration = changes =>
+        setCalibrationProfiles(({ active, profiles }) => ({
+            active,
+            profiles: profiles.map(profile =>
+                profile.name === active ? { ...profile, calibration: { ...profile.calibration, ...changes } } : profile
+            )
+        }));
+
+    useEffect(() => {
+        saveCalibrationProfiles(calibrationProfiles);
+    }, [calibrationProfiles]);
+
+    // the wizard needs the tracker
+    useEffect(() => {
+        if (!isWebcamActive) stopCalibration();
+    }, [isWebcamActive]);
+
+    calibrationRefs.current.calibration = activeCalibration;
+    calibrationRefs.current.onStep = showCalibrationStep;
+
+    // ---------- audio reaction ----------
+
+    // start { kind: 'mic' } or { kind: 'file', file }, replacing any running source
+    const startAudio = async ({ kind, file }) => {
+        audioRefs.current.analyser?.stop();
+        const analyser = createAudioAnalyser();
+        audioRefs.current.analyser = analyser;
+        audioRefs.current.beatCount = 0;
+        setAudioError(null);
+
+        try {
+            if (kind === 'mic') await analyser.startMicrophone();
+            else await analyser.startFile(file);
+            setAudioSource(kind === 'mic' ? 'mic' : file.name);
+        } catch (error) {
+            console.error('Audio error:', error);
+            analyser.stop();
+            if (audioRefs.current.analyser === analyser) audioRefs.current.analyser = null;
+            setAudioSource(null);
+            setAudioError(
+                kind === 'mic'
+                    ? 'Microphone access failed. Please allow microphone access and try again.'
+                    : error.message
+            );
+        }
+    };
+
+    const stopAudio = () => {
+        audioRefs.current.analyser?.stop();
+        audioRefs.current.analyser = null;
+        setAudioSource(null);
+        setAudioLevels({ bass: 0, mids: 0, highs: 0 });
+    };
+
+    const handleAudioFile = e => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) startAudio({ kind: 'file', file });
+    };
+
+    // ---------- post-processing ----------
+
+    const isPostBlocked = isSlowForPost && !postOverride;
+
+    useEffect(() => {
+        threeRefs.current.post?.setOptions(postEnabled && !isPostBlocked, postEffects);
+    }, [postEnabled, isPostBlocked, postEffects]);
+
+    const updatePostEffect = (effect, changes) =>
+        setPostEffects(effects => ({ ...effects, [effect]: { ...effects[effect], ...changes } }));
+
+    // ---------- presets ----------
+
+    const buildPreset = () => {
+        const { camera, particles } = threeRefs.current;
+        return createPreset({
+            pattern: selectedPattern,
+            particleColor,
+            colorOptions,
+            particleCount,
+            transition,
+            textOptions,
+            strokes: drawStrokes,
+            camera: { position: camera.position.toArray() },
+            rotation: particles.rotation,
+            gestures: { enabled: gesturesEnabled, bindings: gestureBindings }
+        });
+    };
+
+    const applyPreset = preset => {
+        const { camera, particles } = threeRefs.current;
+
+        commitStrokes(preset.strokes);
+
+        // auto quality would change the count right away
+        setAutoQuality(false);
+        setParticleCount(preset.particleCount);
+        setParticleColor(preset.particleColor);
+        setColorOptions(preset.colorOptions);
+        setTransition(preset.transition);
+        setTextOptions(preset.textOptions);
+        if (preset.gestures) {
+            setGesturesEnabled(preset.gestures.enabled);
+            setGestureBindings({ ...DEFAULT_GESTURE_BINDINGS, ...preset.gestures.bindings });
+        }
+        if (preset.camera && camera) camera.position.fromArray(preset.camera.position);
+
+        if (preset.pattern === selectedPattern) {
+            // the pattern effect won't run: apply rotation and drawing here
+            if (preset.rotation && particles) {
+                particles.rotation.set(preset.rotation.x, preset.rotation.y, preset.rotation.z);
+                threeRefs.current.rotationReset = null;
+            }
+            if (preset.pattern === 'custom') {
+                morphToTargets(
+                    generatePattern('custom', { customParticles: sampleStrokes(preset.strokes, particleCount) })
+                );
+            }
+        } else {
+            threeRefs.current.pendingRotation = preset.rotation;
+            setSelectedPattern(preset.pattern);
+        }
+    };
+
+    // preset JSON from a file, drop or link: invalid ones are reported, never applied
+    const loadPreset = text => {
+        try {
+            applyPreset(parsePreset(text, id => !!getPattern(id)));
+            setPresetMessage(null);
+        } catch (err) {
+            console.error('Failed to load preset:', err);
+            setPresetMessage({ error: true, text: err.message });
+        }
+    };
+
+    // a file that can't be read is reported like the other imports, its content like a preset
+    const loadPresetFile = async file => {
+        let text;
+        try {
+            text = await file.text();
+        } catch (err) {
+            console.error('Failed to read preset:', err);
+            setImportError(`Could not import ${file.name}: ${err.message}`);
+            return;
+        }
+        setImportError(null);
+        loadPreset(text);
+    };
+
+    const handlePresetFile = e => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) loadPresetFile(file);
+    };
+
+    const copyPresetLink = async () => {
+        try {
+            const hash = await encodePresetHash(buildPreset());
+            window.history.replaceState(null, '', hash);
+            try {
+                await navigator.clipboard.writeText(window.location.href);
+                setPresetMessage({ error: false, text: 'Link copied to the clipboard.' });
+            } catch {
+                setPresetMessage({ error: false, text: 'Link is in the address bar, copy it from there.' });
+            }
+        } catch (err) {
+            console.error('Failed to create preset link:', err);
+            setPresetMessage({ error: true, text: 'Could not create a link for this scene.' });
+        }
+    };
+
+    // open the scene from a preset link, on startup and when the hash changes
+    useEffect(() => {
+        const loadFromHash = async () => {
+            try {
+                const text = await decodePresetHash(window.location.hash);
+                if (text) presetRefs.current.load(text);
+            } catch (err) {
+                setPresetMessage({ error: true, text: err.message });
+            }
+        };
+        loadFromHash();
+        window.addEventListener('hashchange', loadFromHash);
+        return () => window.removeEventListener('hashchange', loadFromHash);
+    }, []);
+
+    presetRefs.current.load = loadPreset;
+
+    // hide the "link copied" note after a moment, errors stay
+    useEffect(() => {
+        if (!presetMessage || presetMessage.error) return;
+        const timeout = setTimeout(() => setPresetMessage(null), 3000);
+        return () => clearTimeout(timeout);
+    }, [presetMessage]);
+
+    // ---------- capture ----------
+
+    const takeScreenshot = async () => {
+        const { renderer, scene, camera, material, post } = threeRefs.current;
+        if (!renderer) return;
+        try {
+            const result = await saveScreenshot({
+                renderer,
+                scene,
+                camera,
+                sizeUniform: material.uniforms.u_sizeScale,
+                scale: screenshotScale,
+                post
+            });
+            setCaptureMessage(
+                result.clamped
+                    ? { error: false, text: `Saved at ${result.scale.toFixed(1)}x, the largest size this GPU can render.` }
+                    : null
+            );
+        } catch (err) {
+            console.error('Screenshot failed:', err);
+            setCaptureMessage({ error: true, text: err.message });
+        }
+    };
+
+    const toggleVideoRecording = () => {
+        const { recorder } = captureRefs.current;
+        if (recorder) {
+            captureRefs.current.recorder = null;
+            recorder.stop();
+            setIsVideoRecording(false);
+            return;
+        }
+
+        const { renderer } = threeRefs.current;
+        if (!renderer) return;
+        try {
+            // the preview only has content while tracking runs
+            captureRefs.current.recorder = createVideoRecorder({
+                canvas: renderer.domElement,
+                getPipSource: videoWithPip
+                    ? () => (backendRef.current ? previewCanvasRef.current : null)
+                    : null
+            });
+            setCaptureMessage(null);
+            setIsVideoRecording(true);
+        } catch (err) {
+            console.error('Video recording failed:', err);
+            setCaptureMessage({ error: true, text: err.message });
+        }
+    };
+
+    // a recording still running on unmount is saved
+    useEffect(() => () => captureRefs.current.recorder?.stop(), []);
+
+    // ---------- auto show ----------
+
+    const showPlaylistStep = step => {
+        if (!getPattern(step.pattern)) return;
+        // the pattern / color effects pick these up; unchanged values never reach them
+        threeRefs.current.pendingDuration = step.pattern !== selectedPattern ? step.transition : null;
+        threeRefs.current.pendingTintRate = step.color !== particleColor ? getTransitionRate(step.transition) : null;
+        setSelectedPattern(step.pattern);
+        setParticleColor(step.color);
+    };
+
+    const togglePlaylist = () => {
+        playlistRefs.current.player.reset();
+        playlistRefs.current.status = null;
+        setPlaylistStatus({ index: -1, paused: false });
+        setIsPlaylistPlaying(!isPlaylistPlaying);
+    };
+
+    const updatePlaylistStep = (index, changes) =>
+        setPlaylist(prev => ({
+            ...prev,
+            steps: prev.steps.map((step, i) => (i === index ? { ...step, ...changes } : step))
+        }));
+
+    const removePlaylistStep = index =>
+        setPlaylist(prev => ({ ...prev, steps: prev.steps.filter((_, i) => i !== index) }));
+
+    // new steps start from what is on screen
+    const addPlaylistStep = () =>
+        setPlaylist(prev => ({
+            ...prev,
+            steps: [
+                ...prev.steps,
+                createPlaylistStep(getPattern(selectedPattern)?.interactive ? 'heart' : selectedPattern, particleColor)
+            ]
+        }));
+
+    const handlePlaylistFile = async e => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setPlaylist(parsePlaylist(await file.text(), id => !!getPattern(id)));
+            setPlaylistError(null);
+        } catch (err) {
+            setPlaylistError(err.message);
+        }
+    };
+
+    playlistRefs.current.playlist = playlist;
+    playlistRefs.current.playing = isPlaylistPlaying;
+    playlistRefs.current.showStep = showPlaylistStep;
+    playlistRefs.current.stop = () => setIsPlaylistPlaying(false);
+
+    fieldRefs.current.enabled = forceFieldEnabled;
+    fieldRefs.current.options = forceFieldOptions;
+    motionRefs.current.options = motionOptions;
+    filterRefs.current.options = filterOptions;
+
+    audioRefs.current.sensitivity = audioSensitivity;
+    audioRefs.current.beatAction = beatAction;
+    audioRefs.current.beatEvery = beatEvery;
+
+    // release the microphone / audio context on unmount
+    useEffect(() => () => audioRefs.current.analyser?.stop(), []);
+
+    // patterns registered after startup (e.g. by extra modules) show up in the panel
+    useEffect(() => subscribePatterns(() => setPatterns(getPatterns())), []);
+
+    // hide the recognized gesture badge after a moment
+    useEffect(() => {
+        if (!lastGesture) return;
+        const timeout = setTimeout(() => setLastGesture(null), 1500);
+        return () => clearTimeout(timeout);
+    }, [lastGesture]);
+
     return (
-        <div className="relative w-full h-screen bg-gray-900 overflow-hidden">
+        <div
+            className="relative w-full h-screen bg-gray-900 overflow-hidden"
+            onDragOver={e => e.preventDefault()}
+            onDrop={handleFileDrop}
+        >
             {/* three.js container */}
             <div ref={containerRef} className="w-full h-full" />
 
@@ -935,6 +2131,12 @@ const ParticleGestureSystem = () => {
                     <div className="absolute bottom-2 left-2 bg-black/60 text-white text-xs px-2 py-1 rounded">
                         Hand Tracking
                     </div>
+                    {lastGesture && (
+                        <div className="absolute bottom-2 right-2 bg-cyan-500/80 text-white text-xs px-2 py-1 rounded">
+                            {GESTURES.find(g => g.value === lastGesture)?.icon}{' '}
+                            {GESTURES.find(g => g.value === lastGesture)?.label}
+                        </div>
+                    )}
                 </div>
             )}
 
@@ -948,7 +2150,7 @@ const ParticleGestureSystem = () => {
 
             {/* control panel */}
             {showControls && (
-                <div className="absolute top-4 left-4 bg-gray-800/90 backdrop-blur-md text-white p-6 rounded-2xl shadow-2xl max-w-sm z-10 border border-gray-700">
+                <div className="absolute top-4 left-4 bg-gray-800/90 backdrop-blur-md text-white p-6 rounded-2xl shadow-2xl max-w-sm max-h-[calc(100vh-2rem)] overflow-y-auto z-10 border border-gray-700">
                     <h2 className="text-2xl font-bold mb-6 text-cyan-400 flex items-center gap-2">
                         <span>✨</span> StarWave
                     </h2>
@@ -959,12 +2161,12 @@ const ParticleGestureSystem = () => {
                             Select Pattern
                         </label>
                         <div className="grid grid-cols-3 gap-2">
-                            {PATTERNS.map(pattern => (
+                            {patterns.map(pattern => (
                                 <button
-                                    key={pattern.value}
-                                    onClick={() => setSelectedPattern(pattern.value)}
+                                    key={pattern.id}
+                                    onClick={() => setSelectedPattern(pattern.id)}
                                     className={`p-3 rounded-xl transition-all ${
-                                        selectedPattern === pattern.value
+                                        selectedPattern === pattern.id
                                             ? 'bg-cyan-500 text-white shadow-lg scale-105'
                                             : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
                                     }`}
@@ -974,6 +2176,253 @@ const ParticleGestureSystem = () => {
                                 </button>
                             ))}
                         </div>
+
+                        {/* 3D model import */}
+                        <div className="flex gap-2 items-center mt-3">
+                            <button
+                                onClick={() => modelInputRef.current?.click()}
+                                className="flex-1 py-2 px-3 bg-gray-700 hover:bg-gray-600 rounded-xl text-sm font-semibold transition-all"
+                            >
+                                🧊 Import Model
+                            </button>
+                            <label className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={modelFillVolume}
+                                    onChange={e => setModelFillVolume(e.target.checked)}
+                                    className="accent-cyan-500"
+                                />
+                                Fill volume
+                            </label>
+                        </div>
+                        <input
+                            ref={modelInputRef}
+                            type="file"
+                            accept={MODEL_EXTENSIONS.map(ext => `.${ext}`).join(',')}
+                            onChange={handleModelFile}
+                            className="hidden"
+                        />
+
+                        {/* image import */}
+                        <button
+                            onClick={() => imageInputRef.current?.click()}
+                            className="w-full mt-2 py-2 px-3 bg-gray-700 hover:bg-gray-600 rounded-xl text-sm font-semibold transition-all"
+                        >
+                            🖼️ Import Image
+                        </button>
+                        <input
+                            ref={imageInputRef}
+                            type="file"
+                            accept={IMAGE_EXTENSIONS.map(ext => `.${ext}`).join(',')}
+                            onChange={handleImageFile}
+                            className="hidden"
+                        />
+                        <div className="mt-2 text-xs text-gray-500">
+                            OBJ, PLY, glTF (.glb), PNG or JPG — or drop the file anywhere
+                        </div>
+
+                        {selectedPattern === 'text' && (
+                            <div className="mt-3 bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                                <textarea
+                                    value={textOptions.text}
+                                    onChange={e => setTextOptions(prev => ({ ...prev, text: e.target.value }))}
+                                    rows={2}
+                                    placeholder="Type your text (Enter for a new line)"
+                                    className="w-full bg-gray-800 text-gray-100 text-sm rounded-lg px-2 py-1 border border-gray-600 resize-y"
+                                />
+                                <div className="flex gap-2">
+                                    <select
+                                        value={textOptions.font}
+                                        onChange={e => setTextOptions(prev => ({ ...prev, font: e.target.value }))}
+                                        className="flex-1 bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                    >
+                                        {TEXT_FONTS.map(font => (
+                                            <option key={font.value} value={font.value}>
+                                                {font.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <select
+                                        value={textOptions.weight}
+                                        onChange={e => setTextOptions(prev => ({ ...prev, weight: Number(e.target.value) }))}
+                                        className="flex-1 bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                    >
+                                        {TEXT_WEIGHTS.map(weight => (
+                                            <option key={weight.value} value={weight.value}>
+                                                {weight.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Extrusion</span>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="0.5"
+                                        step="0.05"
+                                        value={textOptions.depth}
+                                        onChange={e => setTextOptions(prev => ({ ...prev, depth: Number(e.target.value) }))}
+                                        className="flex-1 accent-cyan-500"
+                                    />
+                                </div>
+                            </div>
+                        )}
+
+                        {selectedPattern.startsWith('image:') && (
+                            <div className="mt-3 bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Sample by</span>
+                                    <select
+                                        value={imageOptions.weightBy}
+                                        onChange={e => setImageOptions(prev => ({ ...prev, weightBy: e.target.value }))}
+                                        className="flex-1 bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                    >
+                                        <option value="brightness">Brightness</option>
+                                        <option value="alpha">Alpha</option>
+                                    </select>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Threshold</span>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="0.95"
+                                        step="0.05"
+                                        value={imageOptions.threshold}
+                                        onChange={e => setImageOptions(prev => ({ ...prev, threshold: Number(e.target.value) }))}
+                                        className="flex-1 accent-cyan-500"
+                                    />
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Depth</span>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="1"
+                                        step="0.05"
+                                        value={imageOptions.depth}
+                                        onChange={e => setImageOptions(prev => ({ ...prev, depth: Number(e.target.value) }))}
+                                        className="flex-1 accent-cyan-500"
+                                    />
+                                </div>
+                                <div className="flex gap-4">
+                                    <label className="flex items-center gap-2 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={imageOptions.invert}
+                                            onChange={e => setImageOptions(prev => ({ ...prev, invert: e.target.checked }))}
+                                            className="accent-cyan-500"
+                                        />
+                                        Invert
+                                    </label>
+                                    <label className="flex items-center gap-2 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={imageOptions.keepAspect}
+                                            onChange={e => setImageOptions(prev => ({ ...prev, keepAspect: e.target.checked }))}
+                                            className="accent-cyan-500"
+                                        />
+                                        Keep aspect
+                                    </label>
+                                </div>
+                            </div>
+                        )}
+                        {importError && (
+                            <div className="mt-2 text-xs text-red-300 bg-red-900/40 p-3 rounded-xl">
+                                {importError}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* pattern transitions */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Transition
+                        </label>
+                        <div className="grid grid-cols-4 gap-2">
+                            {TRANSITION_STYLES.map(style => (
+                                <button
+                                    key={style.value}
+                                    onClick={() => setTransition(prev => ({ ...prev, style: style.value }))}
+                                    className={`py-2 rounded-xl text-xs font-semibold transition-all ${
+                                        transition.style === style.value
+                                            ? 'bg-cyan-600 text-white'
+                                            : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                                    }`}
+                                >
+                                    {style.label}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="mt-3 bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                            <div className="flex items-center gap-2">
+                                <span className="w-20">Easing</span>
+                                <select
+                                    value={transition.easing}
+                                    onChange={e => setTransition(prev => ({ ...prev, easing: e.target.value }))}
+                                    className="flex-1 bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                >
+                                    {TRANSITION_EASINGS.map(easing => (
+                                        <option key={easing.value} value={easing.value}>
+                                            {easing.label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <span className="w-20">Duration</span>
+                                <input
+                                    type="range"
+                                    min="0.2"
+                                    max="6"
+                                    step="0.1"
+                                    value={transition.duration}
+                                    onChange={e => setTransition(prev => ({ ...prev, duration: Number(e.target.value) }))}
+                                    className="flex-1 accent-cyan-500"
+                                />
+                                <span className="w-10 text-right text-cyan-400 font-mono">{transition.duration.toFixed(1)}s</span>
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <span className="w-20">Stagger</span>
+                                <select
+                                    value={transition.stagger}
+                                    onChange={e => setTransition(prev => ({ ...prev, stagger: e.target.value }))}
+                                    className="flex-1 bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                >
+                                    {STAGGER_MODES.map(mode => (
+                                        <option key={mode.value} value={mode.value}>
+                                            {mode.label}
+                                        </option>
+                                    ))}
+                                </select>
+                                {transition.stagger !== 'none' && (
+                                    <input
+                                        type="range"
+                                        min="0.1"
+                                        max="0.9"
+                                        step="0.05"
+                                        value={transition.staggerAmount}
+                                        onChange={e => setTransition(prev => ({ ...prev, staggerAmount: Number(e.target.value) }))}
+                                        className="w-20 accent-cyan-500"
+                                    />
+                                )}
+                            </div>
+                            {transition.style !== 'direct' && (
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Strength</span>
+                                    <input
+                                        type="range"
+                                        min="0.2"
+                                        max="3"
+                                        step="0.1"
+                                        value={transition.strength}
+                                        onChange={e => setTransition(prev => ({ ...prev, strength: Number(e.target.value) }))}
+                                        className="flex-1 accent-cyan-500"
+                                    />
+                                </div>
+                            )}
+                        </div>
                     </div>
 
                     {/* color picker */}
@@ -992,6 +2441,128 @@ const ParticleGestureSystem = () => {
                                 <code className="text-cyan-400 text-sm">{particleColor}</code>
                             </div>
                         </div>
+                        {isTintBypassed && (
+                            <div className="mt-2 text-xs text-gray-400">
+                                This pattern shows its own colors, the particle color applies to color schemes.
+                            </div>
+                        )}
+
+                        <div className="mt-3 bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                            <div className="flex items-center gap-2">
+                                <span className="w-20">Color mode</span>
+                                <select
+                                    value={colorOptions.mode}
+                                    onChange={e => setColorOptions(prev => ({ ...prev, mode: e.target.value }))}
+                                    className="flex-1 bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                >
+                                    {COLOR_MODES.map(mode => (
+                                        <option key={mode.value} value={mode.value}>
+                                            {mode.label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {colorOptions.mode === 'gradient' && (
+                                <>
+                                    <div className="flex items-center gap-2">
+                                        <span className="w-20">Stops</span>
+                                        {[2, 3].map(stopCount => (
+                                            <button
+                                                key={stopCount}
+                                                onClick={() => setColorOptions(prev => ({ ...prev, stopCount }))}
+                                                className={`px-3 py-1 rounded-lg ${
+                                                    colorOptions.stopCount === stopCount
+                                                        ? 'bg-cyan-600 text-white'
+                                                        : 'bg-gray-800 hover:bg-gray-600'
+                                                }`}
+                                            >
+                                                {stopCount}
+                                            </button>
+                                        ))}
+                                        {colorOptions.gradientStops.slice(0, colorOptions.stopCount).map((stop, index) => (
+                                            <input
+                                                key={index}
+                                                type="color"
+                                                value={stop}
+                                                onChange={e => {
+                                                    const value = e.target.value;
+                                                    setColorOptions(prev => ({
+                                                        ...prev,
+                                                        gradientStops: prev.gradientStops.map((old, i) => (i === index ? value : old))
+                                                    }));
+                                                }}
+                                                className="w-8 h-8 rounded cursor-pointer border border-gray-600"
+                                            />
+                                        ))}
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <span className="w-20">Along</span>
+                                        <select
+                                            value={colorOptions.axis}
+                                            onChange={e => setColorOptions(prev => ({ ...prev, axis: e.target.value }))}
+                                            className="flex-1 bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                        >
+                                            {GRADIENT_AXES.map(axis => (
+                                                <option key={axis.value} value={axis.value}>
+                                                    {axis.label}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </>
+                            )}
+
+                            {colorOptions.mode === 'palette' && (
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Palette</span>
+                                    <select
+                                        value={colorOptions.palette}
+                                        onChange={e => setColorOptions(prev => ({ ...prev, palette: e.target.value }))}
+                                        className="flex-1 bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                    >
+                                        {Object.entries(PALETTES).map(([id, palette]) => (
+                                            <option key={id} value={id}>
+                                                {palette.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <div className="flex">
+                                        {PALETTES[colorOptions.palette].colors.map(color => (
+                                            <span
+                                                key={color}
+                                                className="w-3 h-6 first:rounded-l last:rounded-r"
+                                                style={{ backgroundColor: color }}
+                                            />
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
+                            {colorOptions.mode === 'distance' && (
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Core / edge</span>
+                                    <input
+                                        type="color"
+                                        value={colorOptions.coreColor}
+                                        onChange={e => setColorOptions(prev => ({ ...prev, coreColor: e.target.value }))}
+                                        className="w-8 h-8 rounded cursor-pointer border border-gray-600"
+                                    />
+                                    <input
+                                        type="color"
+                                        value={colorOptions.edgeColor}
+                                        onChange={e => setColorOptions(prev => ({ ...prev, edgeColor: e.target.value }))}
+                                        className="w-8 h-8 rounded cursor-pointer border border-gray-600"
+                                    />
+                                </div>
+                            )}
+
+                            {colorOptions.mode !== 'pattern' && (
+                                <div className="text-gray-400">
+                                    The particle color above tints the scheme, set it to white for pure colors.
+                                </div>
+                            )}
+                        </div>
                     </div>
 
                     {/* gesture control */}
@@ -1000,16 +2571,24 @@ const ParticleGestureSystem = () => {
                             Gesture Control
                         </label>
                         <button
-                            onClick={() => setIsWebcamActive(!isWebcamActive)}
+                            onClick={toggleTracking}
                             className={`w-full py-3 px-4 rounded-xl font-semibold transition-all ${
                                 isWebcamActive
                                     ? 'bg-red-500 hover:bg-red-600 shadow-lg shadow-red-500/30'
                                     : 'bg-green-500 hover:bg-green-600 shadow-lg shadow-green-500/30'
                             }`}
                         >
-                            {isWebcamActive ? '🔴 Stop Camera' : '🎥 Start Camera'}
+                            {isWebcamActive
+                                ? replaySession ? '⏹ Stop Replay' : '🔴 Stop Camera'
+                                : '🎥 Start Camera'}
                         </button>
 
+                        {trackingError && (
+                            <div className="mt-3 text-xs text-red-300 bg-red-900/40 p-3 rounded-xl">
+                                {trackingError}
+                            </div>
+                        )}
+
                         {isWebcamActive && (
                             <div className="mt-3 bg-gray-700 p-3 rounded-xl">
                                 <div className="text-xs text-gray-400 mb-2">
@@ -1030,11 +2609,853 @@ const ParticleGestureSystem = () => {
                                     Move hand left/right: rotate Y-axis
                                     <br />
                                     Move hand up/down: rotate X-axis
+                                    <br />
+                                    Two hands: spread to scale, tilt to twist
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* calibration profiles / wizard */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Calibration
+                        </label>
+                        <div className="bg-gray-700 p-3 rounded-xl space-y-2 text-xs">
+                            <div className="flex items-center gap-2">
+                                <span className="text-gray-400">Profile</span>
+                                <select
+                                    value={calibrationProfiles.active}
+                                    onChange={e => selectCalibrationProfile(e.target.value)}
+                                    className="flex-1 min-w-0 bg-gray-800 text-gray-200 text-xs rounded-lg px-2 py-1 border border-gray-600"
+                                >
+                                    {calibrationProfiles.profiles.map(profile => (
+                                        <option key={profile.name} value={profile.name}>
+                                            {profile.name}
+                                        </option>
+                                    ))}
+                                </select>
+                                <button
+                                    onClick={() => deleteCalibrationProfile(calibrationProfiles.active)}
+                                    disabled={calibrationProfiles.active === DEFAULT_PROFILE_NAME}
+                                    title="Delete profile"
+                                    className="text-gray-400 hover:text-red-400 disabled:opacity-40"
+                                >
+                                    🗑
+                                </button>
+                            </div>
+                            <div className="flex gap-4">
+                                <label className="flex items-center gap-2 text-gray-400 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={activeCalibration.invertX}
+                                        onChange={e => updateActiveCalibration({ invertX: e.target.checked })}
+                                        className="accent-cyan-500"
+                                    />
+                                    Invert left/right
+                                </label>
+                                <label className="flex items-center gap-2 text-gray-400 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={activeCalibration.invertY}
+                                        onChange={e => updateActiveCalibration({ invertY: e.target.checked })}
+                                        className="accent-cyan-500"
+                                    />
+                                    Invert up/down
+                                </label>
+                            </div>
+
+                            {calibrationStatus ? (
+                                <div className="space-y-2">
+                                    <div className="text-gray-300">
+                                        Step {Math.min(calibrationStatus.step + 1, CALIBRATION_STEPS.length)}/
+                                        {CALIBRATION_STEPS.length}:{' '}
+                                        {CALIBRATION_STEPS[calibrationStatus.step]?.label}
+                                    </div>
+                                    <div className="bg-gray-600 h-2 rounded-full overflow-hidden">
+                                        <div
+                                            className="h-full bg-gradient-to-r from-cyan-400 to-blue-500"
+                                            style={{ width: `${calibrationStatus.progress * 100}%` }}
+                                        />
+                                    </div>
+                                    <button
+                                        onClick={stopCalibration}
+                                        className="w-full py-1 bg-gray-600 hover:bg-gray-500 rounded-lg font-semibold transition-all"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            ) : (
+                                <div className="flex gap-2">
+                                    <input
+                                        type="text"
+                                        value={calibrationName}
+                                        onChange={e => setCalibrationName(e.target.value)}
+                                        placeholder={`Profile ${calibrationProfiles.profiles.length}`}
+                                        className="flex-1 min-w-0 bg-gray-800 rounded-lg px-2 py-1 text-white"
+                                    />
+                                    <button
+                                        onClick={startCalibration}
+                                        disabled={!isWebcamActive}
+                                        title={isWebcamActive ? 'Record your ranges as a new profile' : 'Start the camera first'}
+                                        className="py-1 px-3 bg-cyan-600 hover:bg-cyan-700 disabled:opacity-40 rounded-lg font-semibold transition-all"
+                                    >
+                                        🎯 Calibrate
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                        {calibrationError && (
+                            <div className="mt-2 text-xs text-red-300 bg-red-900/40 p-3 rounded-xl">
+                                {calibrationError}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* hand / pointer smoothing */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Smoothing
+                        </label>
+                        <div className="bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                            {[
+                                { value: 'minCutoff', label: 'Min Cutoff', title: 'Lower removes more jitter while the hand is still', format: v => `${v.toFixed(1)} Hz` },
+                                { value: 'beta', label: 'Beta', title: 'Higher follows fast moves with less lag', format: v => v.toFixed(1) },
+                                { value: 'holdTime', label: 'Hold Lost Hand', title: 'How long a lost hand keeps its pose', format: v => `${v} ms` }
+                            ].map(({ value, label, title, format }) => (
+                                <div key={value} className="flex items-center gap-2" title={title}>
+                                    <span className="w-24">{label}</span>
+                                    <input
+                                        type="range"
+                                        {...FILTER_OPTION_RANGES[value]}
+                                        value={filterOptions[value]}
+                                        onChange={e => setFilterOptions(prev => ({ ...prev, [value]: Number(e.target.value) }))}
+                                        className="flex-1 accent-cyan-500"
+                                    />
+                                    <span className="w-14 text-right font-mono text-cyan-400">
+                                        {format(filterOptions[value])}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* gesture actions */}
+                    {isWebcamActive && (
+                        <div className="mb-6">
+                            <div className="flex justify-between items-center mb-3">
+                                <label className="text-sm font-semibold text-gray-300">
+                                    Gesture Actions
+                                </label>
+                                <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={gesturesEnabled}
+                                        onChange={e => setGesturesEnabled(e.target.checked)}
+                                        className="accent-cyan-500"
+                                    />
+                                    Enabled
+                                </label>
+                            </div>
+                            {gesturesEnabled && (
+                                <div className="bg-gray-700 p-3 rounded-xl space-y-2">
+                                    {GESTURES.map(gesture => (
+                                        <div key={gesture.value} className="flex items-center gap-2">
+                                            <span className="w-6 text-center">{gesture.icon}</span>
+                                            <span className="flex-1 text-xs text-gray-300">
+                                                {gesture.label}
+                                            </span>
+                                            <select
+                                                value={gestureBindings[gesture.value]}
+                                                onChange={e =>
+                                                    setGestureBindings(prev => ({
+                                                        ...prev,
+                                                        [gesture.value]: e.target.value
+                                                    }))
+                                                }
+                                                className="bg-gray-800 text-gray-200 text-xs rounded-lg px-2 py-1 border border-gray-600"
+                                            >
+                                                {GESTURE_ACTIONS.map(action => (
+                                                    <option key={action.value} value={action.value}>
+                                                        {action.label}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* auto show playlist */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Auto Show
+                        </label>
+                        <button
+                            onClick={togglePlaylist}
+                            disabled={playlist.steps.length === 0}
+                            className={`w-full py-2 px-3 rounded-xl text-sm font-semibold transition-all disabled:opacity-50 ${
+                                isPlaylistPlaying
+                                    ? 'bg-red-500 hover:bg-red-600'
+                                    : 'bg-gray-700 hover:bg-gray-600'
+                            }`}
+                        >
+                            {isPlaylistPlaying ? '⏹ Stop Show' : '▶ Play Show'}
+                        </button>
+                        {isPlaylistPlaying && playlistStatus.index >= 0 && (
+                            <div className="mt-2 text-xs text-gray-400">
+                                Step {playlistStatus.index + 1} / {playlist.steps.length}
+                                {playlistStatus.paused && ' · paused while a hand is in view'}
+                            </div>
+                        )}
+
+                        <div className="mt-3 bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                            <div className="flex items-center gap-4">
+                                <label className="flex items-center gap-2 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={playlist.loop}
+                                        onChange={e => setPlaylist(prev => ({ ...prev, loop: e.target.checked }))}
+                                        className="accent-cyan-500"
+                                    />
+                                    Loop
+                                </label>
+                                <label className="flex items-center gap-2 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={playlist.shuffle}
+                                        onChange={e => setPlaylist(prev => ({ ...prev, shuffle: e.target.checked }))}
+                                        className="accent-cyan-500"
+                                    />
+                                    Shuffle
+                                </label>
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <span className="w-24">Resume after</span>
+                                <input
+                                    type="range"
+                                    min="1"
+                                    max="60"
+                                    step="1"
+                                    value={playlist.idleTimeout}
+                                    onChange={e => setPlaylist(prev => ({ ...prev, idleTimeout: Number(e.target.value) }))}
+                                    className="flex-1 accent-cyan-500"
+                                />
+                                <span className="w-8 text-right text-cyan-400 font-mono">{playlist.idleTimeout}s</span>
+                            </div>
+
+                            <div className="flex gap-1 text-gray-400">
+                                <span className="flex-1">Pattern</span>
+                                <span className="w-8" />
+                                <span className="w-12 text-center">Hold</span>
+                                <span className="w-12 text-center">Morph</span>
+                                <span className="w-6" />
+                            </div>
+                            {playlist.steps.map((step, index) => (
+                                <div
+                                    key={index}
+                                    className={`flex items-center gap-1 rounded-lg ${
+                                        isPlaylistPlaying && playlistStatus.index === index ? 'ring-1 ring-cyan-400' : ''
+                                    }`}
+                                >
+                                    <select
+                                        value={step.pattern}
+                                        onChange={e => updatePlaylistStep(index, { pattern: e.target.value })}
+                                        className="flex-1 min-w-0 bg-gray-800 text-gray-200 rounded-lg px-1 py-1 border border-gray-600"
+                                    >
+                                        {patterns
+                                            .filter(pattern => !pattern.interactive)
+                                            .map(pattern => (
+                                                <option key={pattern.id} value={pattern.id}>
+                                                    {pattern.icon} {pattern.label}
+                                                </option>
+                                            ))}
+                                    </select>
+                                    <input
+                                        type="color"
+                                        value={step.color}
+                                        onChange={e => updatePlaylistStep(index, { color: e.target.value })}
+                                        className="w-8 h-7 rounded cursor-pointer border border-gray-600"
+                                    />
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.5"
+                                        value={step.hold}
+                                        onChange={e => updatePlaylistStep(index, { hold: Math.max(0, Number(e.target.value)) })}
+                                        className="w-12 bg-gray-800 text-gray-200 rounded-lg px-1 py-1 border border-gray-600"
+                                    />
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.5"
+                                        value={step.transition}
+                                        onChange={e => updatePlaylistStep(index, { transition: Math.max(0, Number(e.target.value)) })}
+                                        className="w-12 bg-gray-800 text-gray-200 rounded-lg px-1 py-1 border border-gray-600"
+                                    />
+                                    <button
+                                        onClick={() => removePlaylistStep(index)}
+                                        className="w-6 text-gray-400 hover:text-red-400"
+                                        title="Remove step"
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                            ))}
+
+                            <div className="flex gap-2 pt-1">
+                                <button
+                                    onClick={addPlaylistStep}
+                                    className="flex-1 py-1 bg-gray-800 hover:bg-gray-600 rounded-lg"
+                                >
+                                    + Add Current
+                                </button>
+                                <button
+                                    onClick={() => playlistInputRef.current?.click()}
+                                    className="flex-1 py-1 bg-gray-800 hover:bg-gray-600 rounded-lg"
+                                >
+                                    📂 Import
+                                </button>
+                                <button
+                                    onClick={() => downloadPlaylist(playlist)}
+                                    className="flex-1 py-1 bg-gray-800 hover:bg-gray-600 rounded-lg"
+                                >
+                                    💾 Export
+                                </button>
+                            </div>
+                        </div>
+                        <input
+                            ref={playlistInputRef}
+                            type="file"
+                            accept="application/json,.json"
+                            onChange={handlePlaylistFile}
+                            className="hidden"
+                        />
+                        {playlistError && (
+                            <div className="mt-2 text-xs text-red-300 bg-red-900/40 p-3 rounded-xl">
+                                {playlistError}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* hand force field */}
+                    <div className="mb-6">
+                        <div className="flex items-center justify-between mb-3">
+                            <label className="text-sm font-semibold text-gray-300">
+                                Force Field
+                            </label>
+                            <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={forceFieldEnabled}
+                                    onChange={e => setForceFieldEnabled(e.target.checked)}
+                                    className="accent-cyan-500"
+                                />
+                                Enabled
+                            </label>
+                        </div>
+                        {forceFieldEnabled && (
+                            <div className="bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                                <div className="text-gray-400">
+                                    Open hand pushes, pinch pulls. The scale holds while you pinch.
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Radius</span>
+                                    <input
+                                        type="range"
+                                        min="0.5"
+                                        max="4"
+                                        step="0.1"
+                                        value={forceFieldOptions.radius}
+                                        onChange={e => setForceFieldOptions(prev => ({ ...prev, radius: Number(e.target.value) }))}
+                                        className="flex-1 accent-cyan-500"
+                                    />
                                 </div>
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Strength</span>
+                                    <input
+                                        type="range"
+                                        min="5"
+                                        max="120"
+                                        step="5"
+                                        value={forceFieldOptions.strength}
+                                        onChange={e => setForceFieldOptions(prev => ({ ...prev, strength: Number(e.target.value) }))}
+                                        className="flex-1 accent-cyan-500"
+                                    />
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <span className="w-20">Springiness</span>
+                                    <input
+                                        type="range"
+                                        min="2"
+                                        max="30"
+                                        step="1"
+                                        value={forceFieldOptions.stiffness}
+                                        onChange={e => setForceFieldOptions(prev => ({ ...prev, stiffness: Number(e.target.value) }))}
+                                        className="flex-1 accent-cyan-500"
+                                    />
+                                </div>
+                                <div className="text-gray-400">
+                                    Open hand pushes particles away from your index fingertip, pinch pulls them in.
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* audio reaction */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Audio Reaction
+                        </label>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={() => (audioSource === 'mic' ? stopAudio() : startAudio({ kind: 'mic' }))}
+                                className={`flex-1 py-2 px-3 rounded-xl text-sm font-semibold transition-all ${
+                                    audioSource === 'mic'
+                                        ? 'bg-red-500 hover:bg-red-600'
+                                        : 'bg-gray-700 hover:bg-gray-600'
+                                }`}
+                            >
+                                {audioSource === 'mic' ? '⏹ Stop Mic' : '🎤 Microphone'}
+                            </button>
+                            <button
+                                onClick={() => audioInputRef.current?.click()}
+                                className="flex-1 py-2 px-3 bg-gray-700 hover:bg-gray-600 rounded-xl text-sm font-semibold transition-all"
+                            >
+                                🎵 Audio File
+                            </button>
+                        </div>
+                        <input
+                            ref={audioInputRef}
+                            type="file"
+                            accept="audio/*"
+                            onChange={handleAudioFile}
+                            className="hidden"
+                        />
+
+                        {audioSource && audioSource !== 'mic' && (
+                            <div className="mt-2 flex items-center gap-2 text-xs text-gray-300">
+                                <span className="flex-1 truncate">▶ {audioSource}</span>
+                                <button
+                                    onClick={stopAudio}
+                                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg"
+                                >
+                                    ⏹ Stop
+                                </button>
+                            </div>
+                        )}
+
+                        <div className="mt-3 bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                            {Object.keys(AUDIO_BANDS).map(band => (
+                                <div key={band} className="flex items-center gap-2">
+                                    <span className="w-12 capitalize">{band}</span>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="3"
+                                        step="0.1"
+                                        value={audioSensitivity[band]}
+                                        onChange={e => {
+                                            const value = Number(e.target.value);
+                                            setAudioSensitivity(prev => ({ ...prev, [band]: value }));
+                                        }}
+                                        className="flex-1 accent-cyan-500"
+                                    />
+                                    <div className="w-12 h-2 bg-gray-800 rounded-full overflow-hidden">
+                                        <div
+                                            className="h-full bg-cyan-400"
+                                            style={{ width: `${Math.min(100, audioLevels[band] * 100)}%` }}
+                                        />
+                                    </div>
+                                </div>
+                            ))}
+                            <div className="flex items-center gap-2">
+                                <span className="w-12">Beat</span>
+                                <select
+                                    value={beatAction}
+                                    onChange={e => setBeatAction(e.target.value)}
+                                    className="flex-1 bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                >
+                                    {GESTURE_ACTIONS.map(action => (
+                                        <option key={action.value} value={action.value}>
+                                            {action.value === 'none' ? 'Pulse only' : action.label}
+                                        </option>
+                                    ))}
+                                </select>
+                                {beatAction !== 'none' && (
+                                    <select
+                                        value={beatEvery}
+                                        onChange={e => setBeatEvery(Number(e.target.value))}
+                                        className="bg-gray-800 text-gray-200 rounded-lg px-2 py-1 border border-gray-600"
+                                    >
+                                        {BEAT_ACTION_EVERY_OPTIONS.map(count => (
+                                            <option key={count} value={count}>
+                                                every {count}
+                                            </option>
+                                        ))}
+                                    </select>
+                                )}
+                            </div>
+                        </div>
+                        {audioError && (
+                            <div className="mt-2 text-xs text-red-300 bg-red-900/40 p-3 rounded-xl">
+                                {audioError}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* scene presets */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Scene Presets
+                        </label>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={copyPresetLink}
+                                className="flex-1 py-2 px-2 bg-gray-700 hover:bg-gray-600 rounded-xl text-sm font-semibold transition-all"
+                            >
+                                🔗 Link
+                            </button>
+                            <button
+                                onClick={() => downloadPreset(buildPreset())}
+                                className="flex-1 py-2 px-2 bg-gray-700 hover:bg-gray-600 rounded-xl text-sm font-semibold transition-all"
+                            >
+                                💾 Save
+                            </button>
+                            <button
+                                onClick={() => presetInputRef.current?.click()}
+                                className="flex-1 py-2 px-2 bg-gray-700 hover:bg-gray-600 rounded-xl text-sm font-semibold transition-all"
+                            >
+                                📂 Load
+                            </button>
+                        </div>
+                        <input
+                            ref={presetInputRef}
+                            type="file"
+                            accept="application/json,.json"
+                            onChange={handlePresetFile}
+                            className="hidden"
+                        />
+                        {presetMessage && (
+                            <div
+                                className={`mt-2 text-xs p-3 rounded-xl ${
+                                    presetMessage.error ? 'text-red-300 bg-red-900/40' : 'text-cyan-300 bg-cyan-900/30'
+                                }`}
+                            >
+                                {presetMessage.text}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* twinkle / drift */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Living Particles
+                        </label>
+                        <div className="bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                            <div className="flex items-center gap-2">
+                                <span className="w-24">Twinkle</span>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="1"
+                                    step="0.05"
+                                    value={motionOptions.twinkleAmount}
+                                    onChange={e => setMotionOptions(prev => ({ ...prev, twinkleAmount: Number(e.target.value) }))}
+                                    className="flex-1 accent-cyan-500"
+                                />
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <span className="w-24">Twinkle Speed</span>
+                                <input
+                                    type="range"
+                                    min="0.1"
+                                    max="4"
+                                    step="0.1"
+                                    value={motionOptions.twinkleSpeed}
+                                    onChange={e => setMotionOptions(prev => ({ ...prev, twinkleSpeed: Number(e.target.value) }))}
+                                    className="flex-1 accent-cyan-500"
+                                />
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <span className="w-24">Drift</span>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="0.3"
+                                    step="0.01"
+                                    value={motionOptions.driftAmount}
+                                    onChange={e => setMotionOptions(prev => ({ ...prev, driftAmount: Number(e.target.value) }))}
+                                    className="flex-1 accent-cyan-500"
+                                />
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <span className="w-24">Drift Speed</span>
+                                <input
+                                    type="range"
+                                    min="0.02"
+                                    max="1"
+                                    step="0.02"
+                                    value={motionOptions.driftSpeed}
+                                    onChange={e => setMotionOptions(prev => ({ ...prev, driftSpeed: Number(e.target.value) }))}
+                                    className="flex-1 accent-cyan-500"
+                                />
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <span className="w-24">Hand Stir</span>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="2"
+                                    step="0.1"
+                                    value={motionOptions.handReaction}
+                                    onChange={e => setMotionOptions(prev => ({ ...prev, handReaction: Number(e.target.value) }))}
+                                    className="flex-1 accent-cyan-500"
+                                />
+                            </div>
+                            <div className="text-gray-400">
+                                An open palm stirs the cloud up, a fist calms it down.
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* post-processing */}
+                    <div className="mb-6">
+                        <div className="flex items-center justify-between mb-3">
+                            <label className="text-sm font-semibold text-gray-300">
+                                Effects
+                            </label>
+                            <label
+                                className={`flex items-center gap-2 text-xs text-gray-400 ${
+                                    isPostBlocked ? 'opacity-40' : 'cursor-pointer'
+                                }`}
+                            >
+                                <input
+                                    type="checkbox"
+                                    checked={postEnabled && !isPostBlocked}
+                                    disabled={isPostBlocked}
+                                    onChange={e => setPostEnabled(e.target.checked)}
+                                    className="accent-cyan-500"
+                                />
+                                Enabled
+                            </label>
+                        </div>
+                        {isPostBlocked && (
+                            <div className="mb-2 text-xs text-gray-400 bg-gray-700/50 p-3 rounded-xl">
+                                Effects are disabled because this device looks too slow for them.{' '}
+                                <button
+                                    onClick={() => setPostOverride(true)}
+                                    className="text-cyan-400 hover:text-cyan-300 underline"
+                                >
+                                    Use them anyway
+                                </button>
+                            </div>
+                        )}
+                        {postEnabled && !isPostBlocked && (
+                            <div className="bg-gray-700 p-3 rounded-xl space-y-2 text-xs text-gray-300">
+                                {POST_EFFECTS.map(effect => (
+                                    <div key={effect.value} className="flex items-center gap-2">
+                                        <label className="w-32 flex items-center gap-2 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={postEffects[effect.value].enabled}
+                                                onChange={e => updatePostEffect(effect.value, { enabled: e.target.checked })}
+                                                className="accent-cyan-500"
+                                            />
+                                            {effect.label}
+                                        </label>
+                                        <input
+                                            type="range"
+                                            min={effect.min}
+                                            max={effect.max}
+                                            step={effect.step}
+                                            value={postEffects[effect.value].intensity}
+                                            disabled={!postEffects[effect.value].enabled}
+                                            onChange={e => updatePostEffect(effect.value, { intensity: Number(e.target.value) })}
+                                            className="flex-1 accent-cyan-500 disabled:opacity-40"
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* screenshots / video */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Capture
+                        </label>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={takeScreenshot}
+                                className="flex-1 py-2 px-3 bg-gray-700 hover:bg-gray-600 rounded-xl text-sm font-semibold transition-all"
+                            >
+                                📷 Screenshot
+                            </button>
+                            <select
+                                value={screenshotScale}
+                                onChange={e => setScreenshotScale(Number(e.target.value))}
+                                className="bg-gray-800 text-gray-200 text-xs rounded-lg px-2 py-1 border border-gray-600"
+                            >
+                                {SCREENSHOT_SCALES.map(scale => (
+                                    <option key={scale} value={scale}>
+                                        {scale}x
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <button
+                            onClick={toggleVideoRecording}
+                            className={`w-full mt-2 py-2 px-3 rounded-xl text-sm font-semibold transition-all ${
+                                isVideoRecording
+                                    ? 'bg-red-500 hover:bg-red-600 animate-pulse'
+                                    : 'bg-gray-700 hover:bg-gray-600'
+                            }`}
+                        >
+                            {isVideoRecording ? '⏹ Stop & Save Video' : '🎬 Record Video'}
+                        </button>
+                        <label className="flex items-center gap-2 mt-2 text-xs text-gray-300 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={videoWithPip}
+                                onChange={e => setVideoWithPip(e.target.checked)}
+                                disabled={isVideoRecording}
+                                className="accent-cyan-500"
+                            />
+                            Include webcam preview
+                        </label>
+                        {captureMessage && (
+                            <div
+                                className={`mt-2 text-xs p-3 rounded-xl ${
+                                    captureMessage.error ? 'text-red-300 bg-red-900/40' : 'text-cyan-300 bg-cyan-900/30'
+                                }`}
+                            >
+                                {captureMessage.text}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* landmark session recording / replay */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Landmark Sessions
+                        </label>
+                        <div className="flex gap-2">
+                            {isWebcamActive && !replaySession && (
+                                <button
+                                    onClick={toggleRecording}
+                                    className={`flex-1 py-2 px-3 rounded-xl text-sm font-semibold transition-all ${
+                                        isRecording
+                                            ? 'bg-red-500 hover:bg-red-600 animate-pulse'
+                                            : 'bg-gray-700 hover:bg-gray-600'
+                                    }`}
+                                >
+                                    {isRecording ? '⏹ Stop & Save' : '⏺ Record'}
+                                </button>
+                            )}
+                            <button
+                                onClick={() => sessionInputRef.current?.click()}
+                                className="flex-1 py-2 px-3 bg-gray-700 hover:bg-gray-600 rounded-xl text-sm font-semibold transition-all"
+                            >
+                                📂 Load Session
+                            </button>
+                        </div>
+                        <input
+                            ref={sessionInputRef}
+                            type="file"
+                            accept="application/json,.json"
+                            onChange={handleSessionFile}
+                            className="hidden"
+                        />
+
+                        {replaySession && isWebcamActive && (
+                            <div className="mt-3 bg-gray-700 p-3 rounded-xl flex items-center gap-3">
+                                <button
+                                    onClick={() => setIsReplayPlaying(!isReplayPlaying)}
+                                    className="w-10 h-8 bg-cyan-600 hover:bg-cyan-700 rounded-lg text-sm"
+                                >
+                                    {isReplayPlaying ? '⏸' : '▶'}
+                                </button>
+                                <label className="flex items-center gap-1 text-xs text-gray-300 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={replayLoop}
+                                        onChange={e => setReplayLoop(e.target.checked)}
+                                        className="accent-cyan-500"
+                                    />
+                                    Loop
+                                </label>
+                                <select
+                                    value={replaySpeed}
+                                    onChange={e => setReplaySpeed(Number(e.target.value))}
+                                    className="ml-auto bg-gray-800 text-gray-200 text-xs rounded-lg px-2 py-1 border border-gray-600"
+                                >
+                                    {REPLAY_SPEEDS.map(speed => (
+                                        <option key={speed} value={speed}>
+                                            {speed}x
+                                        </option>
+                                    ))}
+                                </select>
                             </div>
                         )}
                     </div>
 
+                    {/* particle count / quality */}
+                    <div className="mb-6">
+                        <label className="block text-sm font-semibold mb-3 text-gray-300">
+                            Particles
+                        </label>
+                        <div className="bg-gray-700 p-3 rounded-xl">
+                            <div className="flex items-center gap-3">
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max={PARTICLE_COUNT_OPTIONS.length - 1}
+                                    step="1"
+                                    value={Math.max(0, PARTICLE_COUNT_OPTIONS.indexOf(particleCount))}
+                                    onChange={e => setParticleCount(PARTICLE_COUNT_OPTIONS[Number(e.target.value)])}
+                                    disabled={autoQuality}
+                                    className="flex-1 accent-cyan-500 disabled:opacity-50"
+                                />
+                                <span className="w-12 text-right text-cyan-400 font-mono text-sm">
+                                    {particleCount >= 1000 ? `${particleCount / 1000}k` : particleCount}
+                                </span>
+                            </div>
+                            <div className="flex items-center gap-2 mt-3">
+                                <label className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={autoQuality}
+                                        onChange={e => setAutoQuality(e.target.checked)}
+                                        className="accent-cyan-500"
+                                    />
+                                    Auto quality
+                                </label>
+                                {autoQuality && (
+                                    <select
+                                        value={targetFps}
+                                        onChange={e => setTargetFps(Number(e.target.value))}
+                                        className="ml-auto bg-gray-800 text-gray-200 text-xs rounded-lg px-2 py-1 border border-gray-600"
+                                    >
+                                        {TARGET_FPS_OPTIONS.map(fps => (
+                                            <option key={fps} value={fps}>
+                                                {fps} fps
+                                            </option>
+                                        ))}
+                                    </select>
+                                )}
+                            </div>
+                            {autoQuality && (
+                                <div className="mt-2 text-xs text-gray-400">
+                                    Pixel ratio {pixelRatio.toFixed(2)}
+                                    {measuredFps !== null && ` · ${Math.round(measuredFps)} fps`}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+
                     {/* fullscreen button */}
                     <button
                         onClick={toggleFullscreen}
@@ -1052,7 +3473,7 @@ const ParticleGestureSystem = () => {
 
             {/* drawing panel */}
             {showDrawPanel && (
-                <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-gray-800/95 backdrop-blur-md p-6 rounded-2xl shadow-2xl z-30 border border-cyan-500">
+                <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-gray-800/95 backdrop-blur-md p-6 rounded-2xl shadow-2xl z-30 border border-cyan-500 max-h-[95vh] overflow-y-auto">
                     <div className="flex justify-between items-center mb-4">
                         <h3 className="text-xl font-bold text-cyan-400">Draw Your Pattern</h3>
                         <button
@@ -1063,20 +3484,84 @@ const ParticleGestureSystem = () => {
                         </button>
                     </div>
 
-                    <canvas
-                        ref={drawCanvasRef}
-                        width="300"
-                        height="300"
-                        style={{ width: '300px', height: '300px' }}
-                        className="border-2 border-gray-600 rounded-lg cursor-crosshair bg-black mb-4"
-                        onMouseDown={handleDrawStart}
-                        onMouseMove={handleDrawMove}
-                        onMouseUp={handleDrawEnd}
-                        onMouseLeave={handleDrawEnd}
-                        onTouchStart={handleDrawStart}
-                        onTouchMove={handleDrawMove}
-                        onTouchEnd={handleDrawEnd}
-                    />
+                    {/* tools */}
+                    <div className="flex gap-1 mb-2">
+                        {DRAW_TOOLS.map(tool => (
+                            <button
+                                key={tool.value}
+                                onClick={() => setDrawTool(tool.value)}
+                                className={`flex-1 py-1 px-2 rounded-lg text-xs font-semibold transition-all ${
+                                    drawTool === tool.value
+                                        ? 'bg-cyan-600 text-white'
+                                        : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                                }`}
+                            >
+                                {tool.label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex items-center gap-1 mb-3">
+                        <span className="text-xs text-gray-400 mr-1">Size</span>
+                        {DRAW_BRUSH_SIZES.map(size => (
+                            <button
+                                key={size}
+                                onClick={() => setBrushSize(size)}
+                                title={`${size}px`}
+                                className={`w-8 h-8 flex items-center justify-center rounded-lg transition-all ${
+                                    brushSize === size ? 'bg-cyan-600' : 'bg-gray-700 hover:bg-gray-600'
+                                }`}
+                            >
+                                <span
+                                    className="block rounded-full bg-white"
+                                    style={{ width: `${Math.min(size, 20)}px`, height: `${Math.min(size, 20)}px` }}
+                                />
+                            </button>
+                        ))}
+                        <div className="flex-1" />
+                        <button
+                            onClick={undoDrawing}
+                            disabled={drawHistory.undo.length === 0}
+                            title="Undo (Ctrl+Z)"
+                            className="py-1 px-3 bg-gray-700 hover:bg-gray-600 disabled:opacity-40 rounded-lg text-sm transition-all"
+                        >
+                            ↶
+                        </button>
+                        <button
+                            onClick={redoDrawing}
+                            disabled={drawHistory.redo.length === 0}
+                            title="Redo (Ctrl+Shift+Z)"
+                            className="py-1 px-3 bg-gray-700 hover:bg-gray-600 disabled:opacity-40 rounded-lg text-sm transition-all"
+                        >
+                            ↷
+                        </button>
+                    </div>
+
+                    <div className="flex gap-3 mb-4 items-start">
+                        <canvas
+                            ref={drawCanvasRef}
+                            width="300"
+                            height="300"
+                            style={{ width: '300px', height: '300px' }}
+                            className="border-2 border-gray-600 rounded-lg cursor-crosshair bg-black"
+                            onMouseDown={handleDrawStart}
+                            onMouseMove={handleDrawMove}
+                            onMouseUp={handleDrawEnd}
+                            onMouseLeave={handleDrawEnd}
+                            onTouchStart={handleDrawStart}
+                            onTouchMove={handleDrawMove}
+                            onTouchEnd={handleDrawEnd}
+                        />
+                        <div>
+                            <canvas
+                                ref={drawPreviewRef}
+                                width="150"
+                                height="150"
+                                style={{ width: '150px', height: '150px' }}
+                                className="border-2 border-gray-700 rounded-lg bg-black"
+                            />
+                            <p className="text-xs text-gray-500 mt-1 text-center">Particle preview</p>
+                        </div>
+                    </div>
 
                     <div className="flex gap-2 mb-2">
                         <button
@@ -1086,12 +3571,18 @@ const ParticleGestureSystem = () => {
                             Clear
                         </button>
                         <button
-                            onClick={applyDrawing}
+                            onClick={() => applyDrawing()}
                             className="flex-1 py-2 px-4 bg-green-600 hover:bg-green-700 rounded-lg font-semibold transition-all"
                         >
                             Apply
                         </button>
                     </div>
+                    <button
+                        onClick={startAirDrawing}
+                        className="w-full py-2 px-4 mb-2 bg-purple-600 hover:bg-purple-700 rounded-lg font-semibold transition-all"
+                    >
+                        ✋ Draw in the Air
+                    </button>
                     <button
                         onClick={() => setShowDrawPanel(false)}
                         className="w-full py-2 px-4 bg-cyan-600 hover:bg-cyan-700 rounded-lg font-semibold transition-all"
@@ -1102,6 +3593,97 @@ const ParticleGestureSystem = () => {
                     <p className="text-xs text-gray-400 mt-3 text-center">
                         Draw your pattern, then click <strong className="text-white">Apply</strong> to update particles
                     </p>
+
+                    {/* saved drawings */}
+                    <div className="mt-4 pt-4 border-t border-gray-700">
+                        <div className="text-sm font-semibold mb-2 text-gray-300">Saved Drawings</div>
+                        <div className="flex gap-2 mb-3">
+                            <input
+                                type="text"
+                                value={drawingName}
+                                onChange={e => setDrawingName(e.target.value)}
+                                onKeyDown={e => e.key === 'Enter' && saveDrawing()}
+                                placeholder={`Drawing ${drawings.length + 1}`}
+                                className="flex-1 min-w-0 bg-gray-700 rounded-lg px-2 py-1 text-sm text-white"
+                            />
+                            <button
+                                onClick={saveDrawing}
+                                disabled={drawStrokes.length === 0}
+                                className="py-1 px-3 bg-cyan-600 hover:bg-cyan-700 disabled:opacity-40 rounded-lg text-sm font-semibold transition-all"
+                            >
+                                💾 Save
+                            </button>
+                        </div>
+
+                        {drawings.length === 0 ? (
+                            <p className="text-xs text-gray-500">No saved drawings yet.</p>
+                        ) : (
+                            <div className="grid grid-cols-4 gap-2">
+                                {drawings.map(drawing => (
+                                    <div key={drawing.id} className="bg-gray-700 rounded-lg p-1">
+                                        <button
+                                            onClick={() => loadDrawing(drawing)}
+                                            title="Show this drawing"
+                                            className="block w-full rounded overflow-hidden border border-gray-600 hover:border-cyan-400"
+                                        >
+                                            <img src={drawing.thumbnail} alt={drawing.name} className="w-full block" />
+                                        </button>
+                                        <div className="flex items-center gap-1 mt-1">
+                                            <input
+                                                type="text"
+                                                defaultValue={drawing.name}
+                                                onBlur={e => renameDrawing(drawing, e.target.value)}
+                                                onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+                                                title="Rename"
+                                                className="flex-1 min-w-0 bg-transparent text-xs text-gray-200 focus:bg-gray-800 rounded px-1"
+                                            />
+                                            <button
+                                                onClick={() => deleteDrawing(drawing)}
+                                                title="Delete"
+                                                className="text-xs text-gray-400 hover:text-red-400"
+                                            >
+                                                🗑
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        {galleryError && (
+                            <div className="mt-2 text-xs text-red-300 bg-red-900/40 p-3 rounded-xl">
+                                {galleryError}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {/* air drawing toolbar */}
+            {isAirDrawing && (
+                <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-gray-800/90 backdrop-blur-md px-4 py-3 rounded-2xl shadow-2xl z-20 border border-purple-500 flex items-center gap-3">
+                    <span className="text-sm text-gray-200">
+                        ✋ <strong>Air drawing:</strong> pinch to draw, release to lift the pen
+                    </span>
+                    <button
+                        onClick={undoAirStroke}
+                        disabled={drawHistory.undo.length === 0}
+                        className="py-1 px-3 bg-gray-700 hover:bg-gray-600 disabled:opacity-40 rounded-lg text-sm font-semibold transition-all"
+                    >
+                        ↶ Undo
+                    </button>
+                    <button
+                        onClick={clearDrawCanvas}
+                        className="py-1 px-3 bg-red-600 hover:bg-red-700 rounded-lg text-sm font-semibold transition-all"
+                    >
+                        Clear
+                    </button>
+                    <button
+                        onClick={stopAirDrawing}
+                        className="py-1 px-3 bg-green-600 hover:bg-green-700 rounded-lg text-sm font-semibold transition-all"
+                    >
+                        ✓ Done
+                    </button>
                 </div>
             )}
 
@@ -1110,7 +3692,9 @@ const ParticleGestureSystem = () => {
                 <div className="absolute bottom-4 right-4 flex gap-2 z-10">
                     <div className="bg-red-500/80 backdrop-blur-sm text-white px-3 py-2 rounded-lg flex items-center gap-2 shadow-lg animate-pulse">
                         <div className="w-2 h-2 bg-white rounded-full" />
-                        <span className="text-sm font-semibold">Camera Active</span>
+                        <span className="text-sm font-semibold">
+                            {replaySession ? 'Replay Active' : 'Camera Active'}
+                        </span>
                     </div>
                 </div>
             )}
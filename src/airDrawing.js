@@ -0,0 +1,84 @@
+// ---------- air drawing ----------
+//
+// The tracked index fingertip is the pen and a pinch puts it down. Strokes use the draw
+// panel's format (see drawing.js) with a depth per point: [x, y, z], x / y in image space
+// like the canvas, z from the fingertip landmark depth in pattern units (toward the viewer
+// is positive), so the sampled pattern keeps the real 3D shape.
+
+export const AIR_BRUSH_SIZE = 6;
+
+// most points kept per stroke, also the size of the 3D trail buffer
+export const AIR_MAX_POINTS = 4000;
+
+// landmark z is relative to the wrist and tiny, stretched into pattern depth
+const DEPTH_SCALE = 2.5;
+const MAX_DEPTH = 0.5;
+
+// below this step (in image space) the tracker is only jittering
+const MIN_STEP = 0.004;
+
+// a pinch may drop out this long (ms) before the stroke ends, tracking flickers
+const PEN_UP_DELAY = 150;
+
+export const fingertipToPoint = cursor => [
+    cursor.x,
+    cursor.y,
+    Math.min(MAX_DEPTH, Math.max(-MAX_DEPTH, -cursor.z * DEPTH_SCALE))
+];
+
+// cursor per tracking frame in, pen state out: { pen, stroke, finished }
+//   pen: fingertip point or null, stroke: the stroke being drawn or null,
+//   finished: a stroke that just ended (pen lifted or hand lost), else null
+export const createAirPen = () => {
+    let stroke = null;
+    let lastPinchTime = 0;
+
+    const update = (cursor, now) => {
+        const pen = cursor ? fingertipToPoint(cursor) : null;
+        let finished = null;
+
+        if (cursor?.isPinching) {
+            lastPinchTime = now;
+            if (!stroke) {
+                stroke = { tool: 'brush', size: AIR_BRUSH_SIZE, points: [pen] };
+            } else if (stroke.points.length < AIR_MAX_POINTS) {
+                const [x, y] = stroke.points[stroke.points.length - 1];
+                if (Math.hypot(pen[0] - x, pen[1] - y) >= MIN_STEP) stroke.points.push(pen);
+            }
+        } else if (stroke && now - lastPinchTime > PEN_UP_DELAY) {
+            finished = stroke;
+            stroke = null;
+        }
+
+        return { pen, stroke, finished };
+    };
+
+    // drop the stroke in progress
+    const reset = () => {
+        stroke = null;
+    };
+
+    return { update, reset };
+};
+
+// stroke and pen over the webcam preview (image space, same as the landmarks)
+export const renderAirTrail = (ctx, width, height, { pen, stroke }) => {
+    if (stroke && stroke.points.length > 0) {
+        ctx.strokeStyle = 'rgba(34, 211, 238, 0.9)';
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        stroke.points.forEach(([x, y], i) => {
+            if (i === 0) ctx.moveTo(x * width, y * height);
+            else ctx.lineTo(x * width, y * height);
+        });
+        ctx.stroke();
+    }
+    if (pen) {
+        ctx.fillStyle = stroke ? '#f472b6' : '#ffffff';
+        ctx.beginPath();
+        ctx.arc(pen[0] * width, pen[1] * height, 5, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+};
@@ -0,0 +1,151 @@
+// ---------- audio reaction ----------
+//
+// One AnalyserNode fed by the microphone or an audio file. sample() turns the
+// spectrum into three band levels and a beat flag:
+//
+//   const audio = createAudioAnalyser();
+//   await audio.startMicrophone();   // or audio.startFile(file)
+//   const { bass, mids, highs, beat } = audio.sample(performance.now());
+//   audio.stop();
+//
+// Levels are 0..1, already smoothed; what they drive is up to the caller.
+
+// band edges in Hz
+export const AUDIO_BANDS = {
+    bass: [20, 250],
+    mids: [250, 2000],
+    highs: [2000, 12000]
+};
+
+export const DEFAULT_AUDIO_SENSITIVITY = { bass: 1, mids: 1, highs: 1 };
+
+export const BEAT_ACTION_EVERY_OPTIONS = [1, 2, 4, 8, 16];
+
+const FFT_SIZE = 2048;
+
+// beat: bass energy this much above its recent average ...
+const BEAT_THRESHOLD = 1.35;
+// ... and loud enough to not fire on silence
+const BEAT_MIN_LEVEL = 0.15;
+// ~1 s of history at 60 fps
+const BEAT_HISTORY = 60;
+// at most 240 bpm
+const BEAT_COOLDOWN = 250;
+
+// average byte magnitude of a frequency range, as 0..1
+const getBandLevel = (spectrum, [low, high], binWidth) => {
+    const start = Math.max(0, Math.floor(low / binWidth));
+    const end = Math.min(spectrum.length - 1, Math.ceil(high / binWidth));
+    let sum = 0;
+    for (let i = start; i <= end; i++) sum += spectrum[i];
+    return sum / ((end - start + 1) * 255);
+};
+
+export const createAudioAnalyser = () => {
+    let context = null;
+    let analyser = null;
+    let source = null;
+    let stream = null;
+    let element = null;
+    let spectrum = null;
+    let stopped = false;
+
+    const history = [];
+    let lastBeat = 0;
+
+    const stop = () => {
+        stopped = true;
+        if (source) source.disconnect();
+        source = null;
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        stream = null;
+        if (element) {
+            element.pause();
+            URL.revokeObjectURL(element.src);
+        }
+        element = null;
+        // closing an already closed context rejects, nothing left to clean up then
+        if (context) context.close().catch(() => {});
+        context = null;
+        analyser = null;
+        history.length = 0;
+    };
+
+    // call before any await: browsers only let a context run when it is created or resumed
+    // inside the user's click, otherwise it stays suspended and the analyser reads silence
+    const createGraph = () => {
+        context = new AudioContext();
+        // a refused resume leaves the context suspended, sample() reads silence then
+        context.resume().catch(() => {});
+        analyser = context.createAnalyser();
+        analyser.fftSize = FFT_SIZE;
+        analyser.smoothingTimeConstant = 0.6;
+        spectrum = new Uint8Array(analyser.frequencyBinCount);
+    };
+
+    const startMicrophone = async () => {
+        createGraph();
+        const mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        // stop() may have run while the permission prompt was open
+        if (stopped) {
+            mediaStream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        stream = mediaStream;
+
+        // not connected to the speakers, that would feed back
+        source = context.createMediaStreamSource(stream);
+        source.connect(analyser);
+    };
+
+    // plays the file on loop, audible through the speakers
+    const startFile = async file => {
+        createGraph();
+        element = new Audio(URL.createObjectURL(file));
+        element.loop = true;
+
+        source = context.createMediaElementSource(element);
+        source.connect(analyser);
+        analyser.connect(context.destination);
+
+        try {
+            await element.play();
+        } catch (error) {
+            if (stopped) return;
+            throw new Error(`Could not play ${file.name}: ${error.message}`);
+        }
+    };
+
+    const sample = now => {
+        // suspended (or closing) contexts only deliver zeros, don't let them into the beat history
+        if (!analyser || context.state !== 'running') return { bass: 0, mids: 0, highs: 0, beat: false };
+
+        analyser.getByteFrequencyData(spectrum);
+        const binWidth = context.sampleRate / FFT_SIZE;
+        const bass = getBandLevel(spectrum, AUDIO_BANDS.bass, binWidth);
+        const mids = getBandLevel(spectrum, AUDIO_BANDS.mids, binWidth);
+        const highs = getBandLevel(spectrum, AUDIO_BANDS.highs, binWidth);
+
+        const average = history.length
+            ? history.reduce((sum, value) => sum + value, 0) / history.length
+            : bass;
+        history.push(bass);
+        if (history.length > BEAT_HISTORY) history.shift();
+
+        const beat =
+            bass > BEAT_MIN_LEVEL &&
+            bass > average * BEAT_THRESHOLD &&
+            now - lastBeat > BEAT_COOLDOWN;
+        if (beat) lastBeat = now;
+
+        return { bass, mids, highs, beat };
+    };
+
+    return {
+        startMicrophone,
+        startFile,
+        stop,
+        sample,
+        isActive: () => !!analyser
+    };
+};
@@ -0,0 +1,202 @@
+import { DEFAULT_CALIBRATION, getPinchDistance } from './hands.js';
+
+// ---------- gesture calibration ----------
+//
+// A short wizard records what one user's hand actually covers in front of their camera:
+// the pinch fully closed, the pinch fully open, then the palm in each corner of the frame.
+// Each step waits for the hand to settle, then samples it for a moment. The samples give
+// the ranges used by mapHandsToTargets (see DEFAULT_CALIBRATION in hands.js), and their
+// jitter the dead zones.
+
+export const CALIBRATION_STEPS = [
+    { value: 'pinchClosed', label: 'Pinch thumb and index finger together' },
+    { value: 'pinchOpen', label: 'Spread thumb and index finger as far as you can' },
+    { value: 'topLeft', label: 'Move your hand to the top-left corner' },
+    { value: 'topRight', label: 'Move your hand to the top-right corner' },
+    { value: 'bottomRight', label: 'Move your hand to the bottom-right corner' },
+    { value: 'bottomLeft', label: 'Move your hand to the bottom-left corner' }
+];
+
+const CORNER_STEPS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+const SETTLE_TIME = 800;   // ms to get into position before sampling starts
+const SAMPLE_TIME = 1200;  // ms of samples per step
+
+// narrower than this the mapping would jump from one end to the other
+const MIN_PINCH_RANGE = 0.2;
+const MIN_FRAME_SIZE = 0.15;
+
+const MAX_PINCH_DEAD_ZONE = 0.15;  // share of the pinch range
+const MIN_CENTER_DEAD_ZONE = 0.02;
+const MAX_CENTER_DEAD_ZONE = 0.2;
+
+// hand per tracking frame in, wizard state out: { step, progress, samples }
+//   step: index into CALIBRATION_STEPS (CALIBRATION_STEPS.length once done),
+//   progress: 0..1 within the step, samples: { [step]: [value, ...] } once done, else null.
+// A step starts over whenever the hand is lost, so a dropout can't record stray values.
+export const createCalibrationWizard = () => {
+    const samples = {};
+    let step = 0;
+    let stepStart = null;
+
+    const sampleHand = landmarks => {
+        const { value } = CALIBRATION_STEPS[step];
+        if (value === 'pinchClosed' || value === 'pinchOpen') return getPinchDistance(landmarks);
+        // same reference point as the rotation mapping: the middle finger base
+        return { x: landmarks[9].x, y: landmarks[9].y };
+    };
+
+    const update = (detectedHands, now) => {
+        if (step >= CALIBRATION_STEPS.length) return { step, progress: 1, samples };
+
+        const { value } = CALIBRATION_STEPS[step];
+        const sample = detectedHands.length === 1 ? sampleHand(detectedHands[0].landmarks) : null;
+        if (sample === null) {
+            stepStart = null;
+            samples[value] = [];
+            return { step, progress: 0, samples: null };
+        }
+
+        if (stepStart === null) stepStart = now;
+        const elapsed = now - stepStart;
+        if (elapsed >= SETTLE_TIME) (samples[value] ??= []).push(sample);
+
+        if (elapsed >= SETTLE_TIME + SAMPLE_TIME) {
+            step += 1;
+            stepStart = null;
+            const done = step >= CALIBRATION_STEPS.length;
+            return { step, progress: done ? 1 : 0, samples: done ? samples : null };
+        }
+        return { step, progress: elapsed / (SETTLE_TIME + SAMPLE_TIME), samples: null };
+    };
+
+    return { update };
+};
+
+const getPercentile = (values, share) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+};
+
+const getMedian = values => getPercentile(values, 0.5);
+
+// spread of the middle 80%, so a single tracking glitch doesn't count as jitter
+const getJitter = values => getPercentile(values, 0.9) - getPercentile(values, 0.1);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// the wizard's samples as a calibration (invert options from base), throws if the recorded
+// ranges are too small to steer with
+export const createCalibration = (samples, base = DEFAULT_CALIBRATION) => {
+    const missing = CALIBRATION_STEPS.find(({ value }) => !samples[value]?.length);
+    if (missing) throw new Error(`No samples for "${missing.label}". Please run the calibration again.`);
+
+    const closed = samples.pinchClosed;
+    const open = samples.pinchOpen;
+    const pinch = { min: getMedian(closed), max: getMedian(open) };
+    if (pinch.max - pinch.min < MIN_PINCH_RANGE) {
+        throw new Error('Closed and open pinch were too similar. Spread your fingers wider on the second step.');
+    }
+
+    // corners by position rather than by name, the preview may be mirrored
+    const corners = CORNER_STEPS.map(value => ({
+        x: getMedian(samples[value].map(point => point.x)),
+        y: getMedian(samples[value].map(point => point.y))
+    }));
+    const xs = corners.map(corner => corner.x).sort((a, b) => a - b);
+    const ys = corners.map(corner => corner.y).sort((a, b) => a - b);
+    const frame = {
+        minX: (xs[0] + xs[1]) / 2,
+        maxX: (xs[2] + xs[3]) / 2,
+        minY: (ys[0] + ys[1]) / 2,
+        maxY: (ys[2] + ys[3]) / 2
+    };
+    if (frame.maxX - frame.minX < MIN_FRAME_SIZE || frame.maxY - frame.minY < MIN_FRAME_SIZE) {
+        throw new Error('The corners were too close together. Move your hand further towards each corner.');
+    }
+
+    const pinchJitter = Math.max(getJitter(closed), getJitter(open));
+    const cornerJitter = Math.max(
+        ...CORNER_STEPS.map(value => Math.max(
+            getJitter(samples[value].map(point => point.x)) / (frame.maxX - frame.minX),
+            getJitter(samples[value].map(point => point.y)) / (frame.maxY - frame.minY)
+        ))
+    );
+
+    return {
+        ...base,
+        pinch,
+        frame,
+        deadZones: {
+            pinch: Math.min(pinchJitter, (pinch.max - pinch.min) * MAX_PINCH_DEAD_ZONE),
+            // in half-frame units, like the rotation mapping
+            center: clamp(cornerJitter * 2, MIN_CENTER_DEAD_ZONE, MAX_CENTER_DEAD_ZONE)
+        }
+    };
+};
+
+// ---------- profiles ----------
+//
+// Kept in localStorage, one calibration per name:
+//   { active, profiles: [{ name, calibration }] }
+// The "Default" profile always exists and holds the built-in ranges.
+
+const PROFILES_KEY = 'starwave-calibration';
+
+export const DEFAULT_PROFILE_NAME = 'Default';
+
+export const DEFAULT_CALIBRATION_PROFILES = {
+    active: DEFAULT_PROFILE_NAME,
+    profiles: [{ name: DEFAULT_PROFILE_NAME, calibration: DEFAULT_CALIBRATION }]
+};
+
+const isRange = range =>
+    !!range && Number.isFinite(range.min) && Number.isFinite(range.max) && range.max > range.min;
+
+export const isValidCalibration = calibration =>
+    !!calibration &&
+    isRange(calibration.pinch) &&
+    isRange(calibration.handDist) &&
+    !!calibration.frame &&
+    ['minX', 'maxX', 'minY', 'maxY'].every(key => Number.isFinite(calibration.frame[key])) &&
+    calibration.frame.maxX > calibration.frame.minX &&
+    calibration.frame.maxY > calibration.frame.minY &&
+    !!calibration.deadZones &&
+    Number.isFinite(calibration.deadZones.pinch) &&
+    calibration.deadZones.center >= 0 &&
+    calibration.deadZones.center < 1 &&
+    typeof calibration.invertX === 'boolean' &&
+    typeof calibration.invertY === 'boolean';
+
+// saved profiles, invalid entries are dropped and the Default profile added back if missing
+export const loadCalibrationProfiles = () => {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    } catch {
+        saved = null;
+    }
+    if (!saved || !Array.isArray(saved.profiles)) return DEFAULT_CALIBRATION_PROFILES;
+
+    const profiles = saved.profiles.filter(
+        profile => profile && typeof profile.name === 'string' && isValidCalibration(profile.calibration)
+    );
+    if (!profiles.some(profile => profile.name === DEFAULT_PROFILE_NAME)) {
+        profiles.unshift(DEFAULT_CALIBRATION_PROFILES.profiles[0]);
+    }
+    return {
+        active: profiles.some(profile => profile.name === saved.active) ? saved.active : DEFAULT_PROFILE_NAME,
+        profiles
+    };
+};
+
+export const saveCalibrationProfiles = state => {
+    try {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+    } catch {
+        // storage blocked or full: profiles only last for this visit
+    }
+};
+
+export const getActiveCalibration = ({ active, profiles }) =>
+    profiles.find(profile => profile.name === active)?.calibration ?? DEFAULT_CALIBRATION;
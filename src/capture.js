@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { downloadBlob } from './utils.js';
+
+// ---------- screenshots and video capture ----------
+
+export const SCREENSHOT_SCALES = [1, 2, 4];
+
+// picture-in-picture webcam preview: width relative to the video, margin in pixels
+const PIP_WIDTH = 0.25;
+const PIP_MARGIN = 16;
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+// render one frame at `scale` times the current resolution and save it as PNG.
+// the frame goes into an off-screen render target and is read back from there, so the
+// canvas on screen is never resized.
+// sizeUniform: point size uniform, scaled along so dots keep their on-screen size
+// post (optional): the post-processing chain, so the capture includes its effects
+// resolves to { scale, clamped }: the scale actually used, lower than asked for when the
+// GPU can't allocate a target that large
+export const saveScreenshot = async ({ renderer, scene, camera, sizeUniform, scale = 1, post = null }) => {
+    const { width, height } = renderer.domElement;
+
+    // stay within what the GPU can allocate: the color texture and the depth buffer
+    const gl = renderer.getContext();
+    const maxSize = Math.min(renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+    const captureScale = Math.max(1, Math.min(scale, maxSize / Math.max(width, height)));
+    const targetWidth = Math.floor(width * captureScale);
+    const targetHeight = Math.floor(height * captureScale);
+
+    const target = new THREE.WebGLRenderTarget(targetWidth, targetHeight);
+    const pixels = new Uint8Array(targetWidth * targetHeight * 4);
+    const sizeScale = sizeUniform.value;
+    try {
+        sizeUniform.value = sizeScale * captureScale;
+        if (post) post.renderToTarget(target);
+        else {
+            renderer.setRenderTarget(target);
+            renderer.render(scene, camera);
+            renderer.setRenderTarget(null);
+        }
+        renderer.readRenderTargetPixels(target, 0, 0, targetWidth, targetHeight, pixels);
+    } finally {
+        sizeUniform.value = sizeScale;
+        target.dispose();
+    }
+
+    // GL rows run bottom-up, canvas rows top-down
+    const canvas = document.createElement('canvas');
+    canvas.width = targetWidth;
+    canvas.height = targetHeight;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(targetWidth, targetHeight);
+    const rowSize = targetWidth * 4;
+    for (let y = 0; y < targetHeight; y++) {
+        const row = pixels.subarray((targetHeight - 1 - y) * rowSize, (targetHeight - y) * rowSize);
+        image.data.set(row, y * rowSize);
+    }
+    ctx.putImageData(image, 0, 0);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('The browser could not encode the screenshot.');
+    downloadBlob(blob, `starwave-${timestamp()}.png`);
+    return { scale: captureScale, clamped: captureScale < scale };
+};
+
+// WebM recording of the renderer canvas, optionally with the webcam preview composited.
+// getPipSource (optional): () => canvas to draw as picture-in-picture, or null to skip a frame
+// drawFrame() must be called right after every render: WebGL canvases can only be
+// copied before the browser composites them.
+export const createVideoRecorder = ({ canvas, getPipSource = null, fps = 60 }) => {
+    const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM video.');
+
+    const composite = getPipSource ? document.createElement('canvas') : null;
+    const ctx = composite?.getContext('2d');
+
+    const drawFrame = () => {
+        if (!composite) return;
+        if (composite.width !== canvas.width || composite.height !== canvas.height) {
+            composite.width = canvas.width;
+            composite.height = canvas.height;
+        }
+        ctx.drawImage(canvas, 0, 0);
+
+        const pip = getPipSource();
+        if (!pip || !pip.width) return;
+        const pipWidth = composite.width * PIP_WIDTH;
+        const pipHeight = (pipWidth * pip.height) / pip.width;
+        const x = composite.width - pipWidth - PIP_MARGIN;
+        const y = composite.height - pipHeight - PIP_MARGIN;
+        ctx.drawImage(pip, x, y, pipWidth, pipHeight);
+        ctx.strokeStyle = 'rgba(34, 211, 238, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, pipWidth, pipHeight);
+    };
+    drawFrame();
+
+    const stream = (composite ?? canvas).captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.ondataavailable = event => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+
+    // resolves once the file has been handed to the browser
+    const stopped = new Promise(resolve => {
+        recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            downloadBlob(new Blob(chunks, { type: 'video/webm' }), `starwave-${timestamp()}.webm`);
+            resolve();
+        };
+    });
+
+    recorder.start(1000);
+
+    const stop = () => {
+        if (recorder.state !== 'inactive') recorder.stop();
+        return stopped;
+    };
+
+    return { drawFrame, stop };
+};
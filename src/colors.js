@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+
+// ---------- per-particle color schemes ----------
+
+export const COLOR_MODES = [
+    { value: 'pattern', label: 'Pattern' },
+    { value: 'gradient', label: 'Gradient' },
+    { value: 'palette', label: 'Palette' },
+    { value: 'rainbow', label: 'Rainbow' },
+    { value: 'distance', label: 'Core Glow' }
+];
+
+export const GRADIENT_AXES = [
+    { value: 'x', label: 'X' },
+    { value: 'y', label: 'Y' },
+    { value: 'z', label: 'Z' },
+    { value: 'radius', label: 'Radius' }
+];
+
+export const PALETTES = {
+    sunset: { label: 'Sunset', colors: ['#ff5f6d', '#ffc371', '#ff9a8b', '#ffd1a9'] },
+    ocean: { label: 'Ocean', colors: ['#00c6ff', '#0072ff', '#48cae4', '#90e0ef'] },
+    neon: { label: 'Neon', colors: ['#ff00e6', '#00fff0', '#faff00', '#7a00ff'] },
+    aurora: { label: 'Aurora', colors: ['#00ffa3', '#00b3ff', '#a100ff', '#3dff8f'] },
+    fire: { label: 'Fire', colors: ['#ff2a00', '#ff7b00', '#ffc300', '#ffe66d'] },
+    pastel: { label: 'Pastel', colors: ['#ffd6e0', '#c1e7ff', '#d4f8c4', '#fff3b0'] }
+};
+
+export const DEFAULT_COLOR_OPTIONS = {
+    mode: 'pattern',
+    gradientStops: ['#ff5f6d', '#ffc371', '#4facfe'],
+    stopCount: 2,            // 2 or 3 gradient stops
+    axis: 'y',
+    palette: 'sunset',
+    coreColor: '#fff1c1',    // core glow: center ...
+    edgeColor: '#3a5bff'     // ... to outer arms
+};
+
+// sample a multi-stop gradient at t in [0, 1]
+const sampleStops = (stops, t, target) => {
+    const scaled = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(scaled));
+    return target.copy(stops[index]).lerp(stops[index + 1], scaled - index);
+};
+
+// per-particle brightness variation, like the default HSL lightness spread
+const shade = (color, rng) => color.multiplyScalar(0.7 + rng() * 0.3);
+
+// rainbow hue around whichever axis the shape is flattest along
+const getRainbowPlane = targetPositions => {
+    let spreadY = 0;
+    let spreadZ = 0;
+    for (let i = 0; i < targetPositions.length; i += 3) {
+        spreadY += targetPositions[i + 1] * targetPositions[i + 1];
+        spreadZ += targetPositions[i + 2] * targetPositions[i + 2];
+    }
+    // flat in y (galaxy, torus, wave): angle in the xz plane, otherwise in xy (heart, text)
+    return spreadY < spreadZ ? 'xz' : 'xy';
+};
+
+// fill colors for every particle from its target position.
+// baseColors: the pattern's own colors, used as-is by the 'pattern' mode
+export const computeParticleColors = (targetPositions, baseColors, options = {}, rng = Math.random) => {
+    const {
+        mode,
+        gradientStops,
+        stopCount,
+        axis,
+        palette,
+        coreColor,
+        edgeColor
+    } = { ...DEFAULT_COLOR_OPTIONS, ...options };
+
+    if (mode === 'pattern') return baseColors.slice();
+
+    const count = targetPositions.length / 3;
+    const colors = new Float32Array(count * 3);
+    const color = new THREE.Color();
+
+    // extent of the shape along the gradient axis / radius, for normalization
+    const axisIndex = { x: 0, y: 1, z: 2 }[axis];
+    let min = Infinity;
+    let max = -Infinity;
+    let maxRadius = 0;
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+        const radius = Math.hypot(targetPositions[i3], targetPositions[i3 + 1], targetPositions[i3 + 2]);
+        maxRadius = Math.max(maxRadius, radius);
+        if (axisIndex !== undefined) {
+            min = Math.min(min, targetPositions[i3 + axisIndex]);
+            max = Math.max(max, targetPositions[i3 + axisIndex]);
+        }
+    }
+
+    const stops = gradientStops.slice(0, stopCount).map(hex => new THREE.Color(hex));
+    const paletteColors = (PALETTES[palette] ?? PALETTES.sunset).colors.map(hex => new THREE.Color(hex));
+    const core = new THREE.Color(coreColor);
+    const edge = new THREE.Color(edgeColor);
+    const rainbowPlane = mode === 'rainbow' ? getRainbowPlane(targetPositions) : null;
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+        const x = targetPositions[i3];
+        const y = targetPositions[i3 + 1];
+        const z = targetPositions[i3 + 2];
+        const radius = Math.hypot(x, y, z);
+
+        switch (mode) {
+            case 'gradient': {
+                const t = axisIndex === undefined
+                    ? radius / (maxRadius || 1)
+                    : (targetPositions[i3 + axisIndex] - min) / (max - min || 1);
+                sampleStops(stops, t, color);
+                break;
+            }
+
+            case 'palette':
+                shade(color.copy(paletteColors[Math.floor(rng() * paletteColors.length)]), rng);
+                break;
+
+            case 'rainbow': {
+                const angle = rainbowPlane === 'xz' ? Math.atan2(z, x) : Math.atan2(y, x);
+                color.setHSL(angle / (Math.PI * 2) + 0.5, 0.9, 0.55 + rng() * 0.15);
+                break;
+            }
+
+            case 'distance': {
+                // sqrt falloff keeps the bright core small, most particles take the edge color
+                const t = Math.sqrt(radius / (maxRadius || 1));
+                shade(color.copy(core).lerp(edge, t), rng);
+                break;
+            }
+
+            default:
+                color.setRGB(baseColors[i3], baseColors[i3 + 1], baseColors[i3 + 2]);
+                break;
+        }
+
+        colors[i3] = color.r;
+        colors[i3 + 1] = color.g;
+        colors[i3 + 2] = color.b;
+    }
+
+    return colors;
+};
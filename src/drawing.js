@@ -0,0 +1,237 @@
+import { createWeightedPicker } from './utils.js';
+
+// ---------- custom drawing strokes ----------
+//
+// The draw panel keeps its drawing as a stroke list, so it can be redrawn, undone and
+// sampled at any time:
+//   strokes: [{ tool, size, points: [[x, y], ...] }, ...]
+//   x / y in [0, 1] of the canvas, size: line width in pixels of the 300 px canvas.
+//   brush / eraser points follow the pointer, shapes keep [start, end]
+//   (line: both ends, circle: center and a point on the rim, rect: two corners).
+//   Air-drawn points carry a depth as well: [x, y, z] (see airDrawing.js).
+// Older drawings are plain point lists; normalizeStroke turns them into brush strokes.
+
+export const DRAW_CANVAS_SIZE = 300;
+export const DRAW_LINE_WIDTH = 3;
+
+export const DRAW_TOOLS = [
+    { value: 'brush', label: '✏️ Brush' },
+    { value: 'eraser', label: '🧽 Eraser' },
+    { value: 'line', label: '╱ Line' },
+    { value: 'circle', label: '◯ Circle' },
+    { value: 'rect', label: '▭ Rect' }
+];
+
+export const DRAW_BRUSH_SIZES = [DRAW_LINE_WIDTH, 6, 12, 24];
+
+export const isShapeTool = tool => tool === 'line' || tool === 'circle' || tool === 'rect';
+
+const CIRCLE_SEGMENTS = 64;
+
+const isPoint = point =>
+    Array.isArray(point) && (point.length === 2 || point.length === 3) && point.every(Number.isFinite);
+
+export const isValidStroke = stroke =>
+    Array.isArray(stroke)
+        ? stroke.every(isPoint)
+        : !!stroke &&
+          DRAW_TOOLS.some(tool => tool.value === stroke.tool) &&
+          Number.isFinite(stroke.size) &&
+          stroke.size > 0 &&
+          Array.isArray(stroke.points) &&
+          stroke.points.every(isPoint);
+
+export const normalizeStroke = stroke =>
+    Array.isArray(stroke) ? { tool: 'brush', size: DRAW_LINE_WIDTH, points: stroke } : stroke;
+
+// the polyline a stroke draws, in canvas-relative coordinates
+const getStrokePath = ({ tool, points }) => {
+    if (!isShapeTool(tool) || points.length === 0) return points;
+
+    const [x0, y0] = points[0];
+    const [x1, y1] = points[points.length - 1];
+    if (tool === 'line') return [[x0, y0], [x1, y1]];
+    if (tool === 'rect') return [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+
+    const radius = Math.hypot(x1 - x0, y1 - y0);
+    return Array.from({ length: CIRCLE_SEGMENTS + 1 }, (_, i) => {
+        const angle = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+        return [x0 + Math.cos(angle) * radius, y0 + Math.sin(angle) * radius];
+    });
+};
+
+const setupStrokeStyle = (ctx, { tool, size }, scale) => {
+    ctx.strokeStyle = tool === 'eraser' ? '#000' : '#fff';
+    ctx.lineWidth = size * scale;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+};
+
+// clear to black and draw every stroke in white, erasers in black
+export const renderStrokes = (canvas, strokes) => {
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    strokes.map(normalizeStroke).forEach(stroke => {
+        const path = getStrokePath(stroke);
+        if (path.length === 0) return;
+        setupStrokeStyle(ctx, stroke, canvas.width / DRAW_CANVAS_SIZE);
+
+        const [x0, y0] = path[0];
+        ctx.beginPath();
+        ctx.moveTo(x0 * canvas.width, y0 * canvas.height);
+        // a single click still leaves a dot
+        if (path.length === 1) ctx.lineTo(x0 * canvas.width + 0.01, y0 * canvas.height);
+        path.slice(1).forEach(([x, y]) => ctx.lineTo(x * canvas.width, y * canvas.height));
+        ctx.stroke();
+    });
+};
+
+// strokes rendered on a detached canvas, for sampling without the draw panel
+export const createStrokeCanvas = strokes => {
+    const canvas = document.createElement('canvas');
+    canvas.width = DRAW_CANVAS_SIZE;
+    canvas.height = DRAW_CANVAS_SIZE;
+    renderStrokes(canvas, strokes);
+    return canvas;
+};
+
+// small PNG data URL of the drawing, for the gallery
+export const createStrokeThumbnail = (strokes, size = 96) => {
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = size;
+    thumbnail.height = size;
+    thumbnail.getContext('2d').drawImage(createStrokeCanvas(strokes), 0, 0, size, size);
+    return thumbnail.toDataURL('image/png');
+};
+
+// ---------- sampling ----------
+
+// erasers leave gaps, so a pass may keep only part of its samples
+const MAX_SAMPLE_PASSES = 4;
+
+const DEPTH_SPREAD = 0.3;
+
+// repeats of air-drawn particles move this far around their drawn depth
+const REPEAT_DEPTH_JITTER = 0.04;
+
+// stroke pieces that add particles: { x0, y0, z0, x1, y1, z1, width }, with their weights.
+// z is the drawn depth, or null for flat strokes.
+// segments weigh their length so particles spread evenly; a lone dot weighs its width
+const collectSegments = strokes => {
+    const segments = [];
+    const weights = [];
+    strokes.map(normalizeStroke).forEach(stroke => {
+        if (stroke.tool === 'eraser') return;
+        const path = getStrokePath(stroke);
+        const width = stroke.size / DRAW_CANVAS_SIZE;
+
+        if (path.length === 1) {
+            const [x, y, z = null] = path[0];
+            segments.push({ x0: x, y0: y, z0: z, x1: x, y1: y, z1: z, width });
+            weights.push(width);
+            return;
+        }
+        for (let i = 1; i < path.length; i++) {
+            const [x0, y0, z0 = null] = path[i - 1];
+            const [x1, y1, z1 = null] = path[i];
+            const length = Math.hypot(x1 - x0, y1 - y0);
+            if (length === 0) continue;
+            segments.push({ x0, y0, z0, x1, y1, z1, width });
+            weights.push(length);
+        }
+    });
+    return { segments, weights };
+};
+
+// particle positions spread evenly along the strokes and across their width:
+// [{ x, y, z }] with x / y in [-1, 1], y up. Flat strokes get a small random depth,
+// air-drawn ones keep theirs. Erased parts are skipped by checking the rendered drawing,
+// so an eraser only removes what was drawn before it.
+export const sampleStrokes = (strokes, count, rng = Math.random) => {
+    const { segments, weights } = collectSegments(strokes);
+
+    const mask = createStrokeCanvas(strokes);
+    const pixels = mask.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, mask.width, mask.height).data;
+    const isDrawn = (x, y) => {
+        const px = Math.floor(x * mask.width);
+        const py = Math.floor(y * mask.height);
+        if (px < 0 || py < 0 || px >= mask.width || py >= mask.height) return false;
+        return pixels[(py * mask.width + px) * 4] > 127;
+    };
+
+    const particles = [];
+    const isFlat = [];  // per particle: sampled from a stroke without depth
+    if (segments.length > 0) {
+        const pick = createWeightedPicker(weights);
+        let attempts = count;
+        for (let pass = 0; pass < MAX_SAMPLE_PASSES && particles.length < count; pass++) {
+            const before = particles.length;
+            for (let i = 0; i < attempts && particles.length < count; i++) {
+                // stratified: sample i lands in the i-th slice of the total length
+                const { x0, y0, z0, x1, y1, z1, width } = segments[pick((i + rng()) / attempts)];
+                const dx = x1 - x0;
+                const dy = y1 - y0;
+                const length = Math.hypot(dx, dy);
+                let x;
+                let y;
+                let t = 0;
+                if (length === 0) {
+                    const angle = rng() * Math.PI * 2;
+                    const radius = (Math.sqrt(rng()) * width) / 2;
+                    x = x0 + Math.cos(angle) * radius;
+                    y = y0 + Math.sin(angle) * radius;
+                } else {
+                    t = rng();
+                    const across = (rng() - 0.5) * width;
+                    x = x0 + dx * t - (dy / length) * across;
+                    y = y0 + dy * t + (dx / length) * across;
+                }
+                if (!isDrawn(x, y)) continue;
+                // drawn depth gets the stroke's thickness, like x / y
+                const z = z0 === null
+                    ? (rng() - 0.5) * DEPTH_SPREAD
+                    : z0 + (z1 - z0) * t + (rng() - 0.5) * width * 2;
+                particles.push({ x: (x - 0.5) * 2, y: -(y - 0.5) * 2, z });
+                isFlat.push(z0 === null);
+            }
+            // next pass: enough attempts for the rest at the share that survived the erasers
+            const kept = (particles.length - before) / attempts;
+            attempts = Math.ceil((count - particles.length) / Math.max(kept, 0.05));
+        }
+    }
+
+    // nothing left to sample: a small cloud in the center
+    if (particles.length === 0) {
+        return Array.from({ length: count }, () => ({
+            x: (rng() - 0.5) * 0.2,
+            y: (rng() - 0.5) * 0.2,
+            z: (rng() - 0.5) * 0.1
+        }));
+    }
+
+    // mostly erased: repeat the survivors at new depths, so repeats don't stack on one spot
+    // and glow brighter under additive blending
+    const sampled = particles.length;
+    while (particles.length < count) {
+        const index = Math.floor(rng() * sampled);
+        const particle = particles[index];
+        const z = isFlat[index]
+            ? (rng() - 0.5) * DEPTH_SPREAD
+            : particle.z + (rng() - 0.5) * REPEAT_DEPTH_JITTER;
+        particles.push({ ...particle, z });
+    }
+    return particles;
+};
+
+// dot preview of sampled particles, as they will look from the front
+export const renderParticlePreview = (canvas, particles) => {
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'rgba(34, 211, 238, 0.8)';
+    particles.forEach(({ x, y }) => {
+        ctx.fillRect(((x + 1) / 2) * canvas.width, ((1 - y) / 2) * canvas.height, 1, 1);
+    });
+};
@@ -0,0 +1,91 @@
+// ---------- signal smoothing ----------
+//
+// One Euro filter (Casiez et al. 2012): a low-pass filter whose cutoff rises with the speed
+// of the signal. A still hand gets heavy smoothing (no jitter), a fast one barely any (no lag).
+//   minCutoff  cutoff in Hz at rest, lower removes more jitter
+//   beta       how much the cutoff rises per unit/s of speed, higher follows fast moves sooner
+// Every hand-derived signal (scale, rotation, openness) runs through its own filter once per
+// tracking frame, so the filter sees the real sample rate and speed. The animation loop runs
+// faster and eases between the filtered samples (getInterpolationFactor).
+
+export const DEFAULT_FILTER_OPTIONS = {
+    minCutoff: 1,
+    beta: 1,
+    holdTime: 300   // ms a lost hand keeps its targets before the scene lets go
+};
+
+// ranges for the panel sliders
+export const FILTER_OPTION_RANGES = {
+    minCutoff: { min: 0.1, max: 5, step: 0.1 },
+    beta: { min: 0, max: 5, step: 0.1 },
+    holdTime: { min: 0, max: 1000, step: 50 }
+};
+
+// the animation loop closes most of the gap to the latest sample within about one
+// tracking interval (~30 fps)
+const INTERPOLATION_TIME = 0.03;
+
+// cutoff of the speed estimate itself, as in the paper
+const DERIVATIVE_CUTOFF = 1;
+
+// smoothing factor of a first-order low-pass at this cutoff and time step
+const getAlpha = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+};
+
+export const createOneEuroFilter = () => {
+    let previous = null;    // { value, speed, time }
+
+    // time in seconds, options: { minCutoff, beta }
+    const filter = (value, time, { minCutoff, beta } = DEFAULT_FILTER_OPTIONS) => {
+        if (!previous) {
+            previous = { value, speed: 0, time };
+            return value;
+        }
+        const dt = time - previous.time;
+        if (dt <= 0) return previous.value;
+
+        const rawSpeed = (value - previous.value) / dt;
+        const speed = previous.speed + getAlpha(DERIVATIVE_CUTOFF, dt) * (rawSpeed - previous.speed);
+        const cutoff = minCutoff + beta * Math.abs(speed);
+        const filtered = previous.value + getAlpha(cutoff, dt) * (value - previous.value);
+
+        previous = { value: filtered, speed, time };
+        return filtered;
+    };
+
+    // start over from value (at rest), or from the next input without one
+    const reset = (value = null, time = 0) => {
+        previous = value === null ? null : { value, speed: 0, time };
+    };
+
+    return { filter, reset };
+};
+
+// targets from mapHandsToTargets (plus openness) that get filtered
+export const HAND_SIGNALS = [
+    'handScaleTarget',
+    'rotationXTarget',
+    'rotationYTarget',
+    'rotationZTarget',
+    'handOpennessTarget'
+];
+
+// one filter per named signal: filter({ [signal]: value }, time, options) -> filtered values
+export const createSignalFilters = signals => {
+    const filters = Object.fromEntries(signals.map(signal => [signal, createOneEuroFilter()]));
+
+    const filter = (values, time, options) =>
+        Object.fromEntries(
+            signals.map(signal => [signal, filters[signal].filter(values[signal], time, options)])
+        );
+
+    // a new hand starts fresh instead of continuing from the last one
+    const reset = () => signals.forEach(signal => filters[signal].reset());
+
+    return { filter, reset };
+};
+
+// share of the remaining distance to cover in a frame of dt seconds
+export const getInterpolationFactor = dt => 1 - Math.exp(-Math.max(0, dt) / INTERPOLATION_TIME);
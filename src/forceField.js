@@ -0,0 +1,203 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+
+// ---------- hand force field ----------
+//
+// The GPU morph puts every particle on its pattern position; the force field adds a
+// per-particle offset on top, simulated on the GPU as well (ping-pong textures, one texel
+// per particle): a spring pulls each offset back to zero, so particles always return to
+// their target, and a cursor pushes or pulls particles within its radius.
+// The vertex shader reads the offset texture at the particle's a_fieldUv.
+// Without a cursor the simulation only runs until the particles have settled.
+
+export const DEFAULT_FORCE_FIELD_OPTIONS = {
+    radius: 1.5,      // scene units around the fingertip
+    strength: 40,     // acceleration at the cursor center
+    stiffness: 12,    // spring back to the target
+    damping: 4        // velocity loss per second
+};
+
+// fingertip landmark z is tiny (relative to the wrist), stretch it into scene depth
+export const CURSOR_DEPTH_SCALE = 10;
+export const CURSOR_MAX_DEPTH = 2;
+
+// large frame gaps (hidden tab) would make the integration explode
+const MAX_STEP = 1 / 30;
+
+// the damped spring's amplitude falls by e^(-damping / 2 * t): this many e-folds (~1e-3)
+// after the cursor leaves, the offsets are cleared and the simulation stops
+const SETTLE_E_FOLDS = 7;
+const MAX_SETTLE_TIME = 20;
+
+// square texture side holding one texel per particle
+const getFieldTextureSize = count => Math.max(1, Math.ceil(Math.sqrt(count)));
+
+// texel centers per particle, for the a_fieldUv attribute
+export const createFieldUvs = count => {
+    const size = getFieldTextureSize(count);
+    const uvs = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        uvs[i * 2] = ((i % size) + 0.5) / size;
+        uvs[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+    }
+    return uvs;
+};
+
+// shared by both passes: the offset pass needs the new velocity too (semi-implicit Euler)
+const velocityChunk = `
+  uniform sampler2D u_start;
+  uniform sampler2D u_target;
+  uniform float u_progress;
+  uniform float u_scale;
+  uniform float u_dt;
+  uniform vec3 u_cursor;
+  uniform float u_hasCursor;
+  uniform float u_direction;
+  uniform float u_radius;
+  uniform float u_strength;
+  uniform float u_stiffness;
+  uniform float u_damping;
+
+  vec3 nextVelocity(vec2 uv, vec3 offset) {
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+    vec3 acceleration = -u_stiffness * offset - u_damping * velocity;
+
+    if (u_hasCursor > 0.5) {
+      // base position before the offset, like the vertex shader
+      vec3 base = mix(texture2D(u_start, uv).xyz, texture2D(u_target, uv).xyz, u_progress) * u_scale;
+      vec3 delta = base + offset - u_cursor;
+      float dist = length(delta);
+      if (dist < u_radius && dist > 1e-4) {
+        float falloff = 1.0 - dist / u_radius;
+        acceleration += delta * (u_direction * u_strength * falloff * falloff / dist);
+      }
+    }
+    return velocity + acceleration * u_dt;
+  }
+`;
+
+const velocityShader = `
+  ${velocityChunk}
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 offset = texture2D(textureOffset, uv).xyz;
+    gl_FragColor = vec4(nextVelocity(uv, offset), 1.0);
+  }
+`;
+
+const offsetShader = `
+  ${velocityChunk}
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 offset = texture2D(textureOffset, uv).xyz;
+    gl_FragColor = vec4(offset + nextVelocity(uv, offset) * u_dt, 1.0);
+  }
+`;
+
+// throws if the device can't render to float textures
+export const createForceField = ({ renderer, count }) => {
+    const size = getFieldTextureSize(count);
+    const gpu = new GPUComputationRenderer(size, size, renderer);
+
+    const startTexture = gpu.createTexture();
+    const targetTexture = gpu.createTexture();
+    const zeroTexture = gpu.createTexture();
+
+    const offsetVariable = gpu.addVariable('textureOffset', offsetShader, gpu.createTexture());
+    const velocityVariable = gpu.addVariable('textureVelocity', velocityShader, gpu.createTexture());
+    gpu.setVariableDependencies(offsetVariable, [offsetVariable, velocityVariable]);
+    gpu.setVariableDependencies(velocityVariable, [offsetVariable, velocityVariable]);
+
+    // one set of uniform objects for both passes
+    const uniforms = {
+        u_start: { value: startTexture },
+        u_target: { value: targetTexture },
+        u_progress: { value: 0 },
+        u_scale: { value: 1 },
+        u_dt: { value: 0 },
+        u_cursor: { value: new THREE.Vector3() },
+        u_hasCursor: { value: 0 },
+        u_direction: { value: 1 },
+        u_radius: { value: DEFAULT_FORCE_FIELD_OPTIONS.radius },
+        u_strength: { value: DEFAULT_FORCE_FIELD_OPTIONS.strength },
+        u_stiffness: { value: DEFAULT_FORCE_FIELD_OPTIONS.stiffness },
+        u_damping: { value: DEFAULT_FORCE_FIELD_OPTIONS.damping }
+    };
+    Object.assign(offsetVariable.material.uniforms, uniforms);
+    Object.assign(velocityVariable.material.uniforms, uniforms);
+
+    const error = gpu.init();
+    if (error !== null) {
+        gpu.dispose();
+        throw new Error(`Force field unavailable: ${error}`);
+    }
+
+    let positionsVersion = null;
+    let settleTime = 0;     // seconds of simulation left without a cursor
+
+    // copy xyz triplets into the RGBA data texture
+    const writePositions = (texture, positions) => {
+        const data = texture.image.data;
+        for (let i = 0, j = 0; i < positions.length; i += 3, j += 4) {
+            data[j] = positions[i];
+            data[j + 1] = positions[i + 1];
+            data[j + 2] = positions[i + 2];
+        }
+        texture.needsUpdate = true;
+    };
+
+    // offsets back to zero in every buffer
+    const clear = () => {
+        [offsetVariable, velocityVariable].forEach(variable =>
+            variable.renderTargets.forEach(renderTarget => gpu.renderTexture(zeroTexture, renderTarget))
+        );
+    };
+
+    // one integration step on the GPU.
+    // start / target / version: the morph attributes, re-uploaded only when version changes.
+    // progress / scale: where particles are, as a straight morph.
+    // cursor: { x, y, z } in the particles' local space or null, attract: pull instead of push
+    const step = ({ start, target, version, progress, scale, cursor, attract, options, dt }) => {
+        const { radius, strength, stiffness, damping } = { ...DEFAULT_FORCE_FIELD_OPTIONS, ...options };
+
+        if (cursor) {
+            settleTime = Math.min(MAX_SETTLE_TIME, (2 * SETTLE_E_FOLDS) / Math.max(damping, 0.1));
+        } else if (settleTime > 0) {
+            settleTime -= dt;
+            if (settleTime <= 0) clear();
+        }
+        if ((!cursor && settleTime <= 0) || dt <= 0) return;
+
+        if (cursor && positionsVersion !== version) {
+            writePositions(startTexture, start);
+            writePositions(targetTexture, target);
+            positionsVersion = version;
+        }
+
+        uniforms.u_progress.value = progress;
+        uniforms.u_scale.value = scale;
+        uniforms.u_dt.value = Math.min(dt, MAX_STEP);
+        uniforms.u_hasCursor.value = cursor ? 1 : 0;
+        if (cursor) uniforms.u_cursor.value.set(cursor.x, cursor.y, cursor.z);
+        uniforms.u_direction.value = attract ? -1 : 1;
+        uniforms.u_radius.value = radius;
+        uniforms.u_strength.value = strength;
+        uniforms.u_stiffness.value = stiffness;
+        uniforms.u_damping.value = damping;
+        gpu.compute();
+    };
+
+    // texture the vertex shader reads the offsets from, changes with every step
+    const getOffsetTexture = () => gpu.getCurrentRenderTarget(offsetVariable).texture;
+
+    const dispose = () => {
+        startTexture.dispose();
+        targetTexture.dispose();
+        zeroTexture.dispose();
+        gpu.dispose();
+    };
+
+    return { step, getOffsetTexture, dispose };
+};
@@ -0,0 +1,95 @@
+import { createStrokeThumbnail } from './drawing.js';
+
+// ---------- saved drawings gallery ----------
+//
+// Drawings are stored in IndexedDB, or in localStorage where IndexedDB is unavailable
+// (some private browsing modes):
+//   { id, name, strokes, thumbnail (PNG data URL), createdAt, updatedAt }
+
+const DB_NAME = 'starwave';
+const DB_VERSION = 1;
+const STORE_NAME = 'drawings';
+const FALLBACK_KEY = 'starwave-drawings';
+
+const promisify = request =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+const openDatabase = () => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    return promisify(request);
+};
+
+const createIndexedDbStorage = db => {
+    const store = mode => db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return {
+        getAll: () => promisify(store('readonly').getAll()),
+        put: drawing => promisify(store('readwrite').put(drawing)),
+        remove: id => promisify(store('readwrite').delete(id))
+    };
+};
+
+const createLocalStorage = () => {
+    const read = () => {
+        try {
+            return JSON.parse(localStorage.getItem(FALLBACK_KEY)) ?? [];
+        } catch {
+            return [];
+        }
+    };
+    const write = drawings => {
+        try {
+            localStorage.setItem(FALLBACK_KEY, JSON.stringify(drawings));
+        } catch {
+            throw new Error('Browser storage is full, delete some drawings first.');
+        }
+    };
+    return {
+        getAll: async () => read(),
+        put: async drawing => write([...read().filter(item => item.id !== drawing.id), drawing]),
+        remove: async id => write(read().filter(item => item.id !== id))
+    };
+};
+
+// resolves to { list, save, rename, remove }, every method async; list is newest first
+export const openDrawingGallery = async () => {
+    let storage;
+    try {
+        storage = createIndexedDbStorage(await openDatabase());
+    } catch (err) {
+        console.warn('IndexedDB unavailable, keeping drawings in localStorage:', err);
+        storage = createLocalStorage();
+    }
+
+    const list = async () => {
+        const drawings = await storage.getAll();
+        return drawings.sort((a, b) => b.updatedAt - a.updatedAt);
+    };
+
+    const save = async ({ name, strokes }) => {
+        const now = Date.now();
+        const drawing = {
+            id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            strokes,
+            thumbnail: createStrokeThumbnail(strokes),
+            createdAt: now,
+            updatedAt: now
+        };
+        await storage.put(drawing);
+        return drawing;
+    };
+
+    const rename = async (id, name) => {
+        const drawing = (await storage.getAll()).find(item => item.id === id);
+        if (!drawing) return;
+        await storage.put({ ...drawing, name, updatedAt: Date.now() });
+    };
+
+    return { list, save, rename, remove: storage.remove };
+};
@@ -0,0 +1,179 @@
+import { getPalmCenter } from './hands.js';
+
+// ---------- gesture vocabulary ----------
+
+export const GESTURES = [
+    { value: 'fist', label: 'Fist', icon: '✊' },
+    { value: 'open_palm', label: 'Open Palm', icon: '🖐️' },
+    { value: 'peace', label: 'V-Sign', icon: '✌️' },
+    { value: 'thumbs_up', label: 'Thumbs Up', icon: '👍' },
+    { value: 'swipe_left', label: 'Swipe Left', icon: '👈' },
+    { value: 'swipe_right', label: 'Swipe Right', icon: '👉' }
+];
+
+export const GESTURE_ACTIONS = [
+    { value: 'none', label: 'Nothing' },
+    { value: 'next_pattern', label: 'Next Pattern' },
+    { value: 'prev_pattern', label: 'Previous Pattern' },
+    { value: 'cycle_color', label: 'Cycle Color' },
+    { value: 'reset_rotation', label: 'Reset Rotation' },
+    { value: 'toggle_fullscreen', label: 'Toggle Fullscreen' }
+];
+
+// fist and open palm are left unbound by default: they are also the "min scale" and
+// "max scale" pinch poses
+export const DEFAULT_GESTURE_BINDINGS = {
+    fist: 'none',
+    open_palm: 'none',
+    peace: 'cycle_color',
+    thumbs_up: 'toggle_fullscreen',
+    swipe_left: 'prev_pattern',
+    swipe_right: 'next_pattern'
+};
+
+export const DEFAULT_GESTURE_OPTIONS = {
+    holdTime: 500,        // ms a static pose must be held before it fires
+    releaseTime: 200,     // ms a pose must be gone before it can fire again
+    cooldown: 800,        // ms between any two fired gestures
+    swipeWindow: 350,     // ms of palm history used for swipe detection
+    swipeDistance: 0.25,  // horizontal palm travel (image width fraction)
+    swipeMaxDrift: 0.15   // allowed vertical travel during a swipe
+};
+
+// ---------- static pose classification ----------
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+// [tip, pip] landmark pairs for index, middle, ring, pinky
+const FINGERS = [
+    [8, 6],
+    [12, 10],
+    [16, 14],
+    [20, 18]
+];
+
+// a finger is extended when its tip is clearly further from the wrist than its middle joint
+const getFingerStates = landmarks => {
+    const wrist = landmarks[0];
+    return FINGERS.map(([tip, pip]) => {
+        const tipDist = distance(landmarks[tip], wrist);
+        const pipDist = distance(landmarks[pip], wrist);
+        if (tipDist > pipDist * 1.1) return 'extended';
+        if (tipDist < pipDist) return 'curled';
+        return 'unknown';
+    });
+};
+
+// the thumb is extended when its tip moves away from the pinky base
+const isThumbExtended = landmarks =>
+    distance(landmarks[4], landmarks[17]) > distance(landmarks[2], landmarks[17]) * 1.1;
+
+export const classifyPose = landmarks => {
+    if (!landmarks || landmarks.length < 21) return null;
+
+    const palmSize = distance(landmarks[0], landmarks[9]);
+    if (palmSize <= 0) return null;
+
+    const [index, middle, ring, pinky] = getFingerStates(landmarks);
+    const thumbOut = isThumbExtended(landmarks);
+    const fourCurled = [index, middle, ring, pinky].every(state => state === 'curled');
+
+    if (fourCurled) {
+        // thumb tip well above the index knuckle (image y points down)
+        const thumbUp = landmarks[5].y - landmarks[4].y > palmSize * 0.3;
+        if (thumbOut && thumbUp) return 'thumbs_up';
+        if (!thumbOut) return 'fist';
+        return null;
+    }
+
+    if ([index, middle, ring, pinky].every(state => state === 'extended') && thumbOut) {
+        return 'open_palm';
+    }
+
+    if (index === 'extended' && middle === 'extended' && ring === 'curled' && pinky === 'curled') {
+        return 'peace';
+    }
+
+    return null;
+};
+
+// ---------- recognizer ----------
+
+// turns a per-frame landmark stream into discrete gesture events:
+// static poses fire once after being held, swipes fire on fast horizontal palm travel
+export const createGestureRecognizer = (options = {}) => {
+    const {
+        holdTime,
+        releaseTime,
+        cooldown,
+        swipeWindow,
+        swipeDistance,
+        swipeMaxDrift
+    } = { ...DEFAULT_GESTURE_OPTIONS, ...options };
+
+    let candidate = null;       // pose seen in the latest frames
+    let candidateSince = 0;     // when the candidate pose started
+    let firedPose = null;       // pose that already fired and is still held
+    let lastFireTime = -Infinity;
+    let trail = [];             // recent palm positions for swipe detection
+
+    const reset = () => {
+        candidate = null;
+        candidateSince = 0;
+        firedPose = null;
+        trail = [];
+    };
+
+    const fire = (gesture, time) => {
+        lastFireTime = time;
+        return gesture;
+    };
+
+    const update = (landmarks, time) => {
+        if (!landmarks) {
+            reset();
+            return null;
+        }
+
+        const canFire = time - lastFireTime >= cooldown;
+
+        // dynamic: swipe left / right
+        const palm = getPalmCenter(landmarks);
+        trail.push({ x: palm.x, y: palm.y, time });
+        trail = trail.filter(point => time - point.time <= swipeWindow);
+
+        if (canFire && trail.length > 1) {
+            const dx = palm.x - trail[0].x;
+            const dy = palm.y - trail[0].y;
+            if (Math.abs(dx) >= swipeDistance && Math.abs(dy) <= swipeMaxDrift) {
+                trail = [];
+                // the pose changes while swiping: don't let it fire right after
+                candidate = null;
+                candidateSince = time;
+                return fire(dx > 0 ? 'swipe_right' : 'swipe_left', time);
+            }
+        }
+
+        // static: pose held for holdTime, fired once until released
+        const pose = classifyPose(landmarks);
+        if (pose !== candidate) {
+            candidate = pose;
+            candidateSince = time;
+        }
+
+        const heldFor = time - candidateSince;
+
+        if (firedPose && candidate !== firedPose && heldFor >= releaseTime) {
+            firedPose = null;
+        }
+
+        if (candidate && candidate !== firedPose && heldFor >= holdTime && canFire) {
+            firedPose = candidate;
+            return fire(candidate, time);
+        }
+
+        return null;
+    };
+
+    return { update, reset };
+};
@@ -0,0 +1,219 @@
+import { lerp } from './utils.js';
+
+// ---------- hand landmark helpers ----------
+
+// MediaPipe hand landmark connections
+export const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],  // thumb
+    [0, 5], [5, 6], [6, 7], [7, 8],  // index finger
+    [0, 9], [9, 10], [10, 11], [11, 12],  // middle finger
+    [0, 13], [13, 14], [14, 15], [15, 16],  // ring finger
+    [0, 17], [17, 18], [18, 19], [19, 20],  // pinky
+    [5, 9], [9, 13], [13, 17]  // palm
+];
+
+// skeleton colors per hand so both hands can be told apart in the preview
+export const HAND_COLORS = {
+    Left: { line: '#00FF00', point: '#FF0000' },
+    Right: { line: '#00BFFF', point: '#FF00FF' }
+};
+
+// wrist + finger bases, averaged to get a stable palm center
+const PALM_LANDMARKS = [0, 5, 9, 13, 17];
+
+export const getPalmCenter = landmarks => {
+    const center = { x: 0, y: 0, z: 0 };
+    PALM_LANDMARKS.forEach(index => {
+        center.x += landmarks[index].x;
+        center.y += landmarks[index].y;
+        center.z += landmarks[index].z;
+    });
+    center.x /= PALM_LANDMARKS.length;
+    center.y /= PALM_LANDMARKS.length;
+    center.z /= PALM_LANDMARKS.length;
+    return center;
+};
+
+// pair each detected hand with its side ('Left' / 'Right') from multiHandedness
+export const getDetectedHands = results => {
+    const landmarksList = results.multiHandLandmarks || [];
+    const handedness = results.multiHandedness || [];
+
+    const detected = landmarksList.map((landmarks, index) => ({
+        landmarks,
+        side: handedness[index]?.label === 'Left' ? 'Left' : 'Right'
+    }));
+
+    // the classifier sometimes labels both hands the same:
+    // fall back to image position (selfie view, so the left hand is on the left)
+    if (detected.length === 2 && detected[0].side === detected[1].side) {
+        detected.sort((a, b) => getPalmCenter(a.landmarks).x - getPalmCenter(b.landmarks).x);
+        detected[0].side = 'Left';
+        detected[1].side = 'Right';
+    }
+
+    return detected;
+};
+
+// thumb-index distance relative to the palm size (wrist to middle finger base)
+export const getPinchDistance = landmarks => {
+    const t = landmarks[4];
+    const i = landmarks[8];
+    const w = landmarks[0];
+    const m = landmarks[9];
+    const baseDist = Math.hypot(w.x - m.x, w.y - m.y, w.z - m.z);
+    return baseDist > 0 ? Math.hypot(t.x - i.x, t.y - i.y, t.z - i.z) / baseDist : null;
+};
+
+// below this normalized thumb-index distance the hand counts as pinching
+const PINCH_THRESHOLD = 0.35;
+
+// index fingertip of the first hand, in image space like the landmarks, or null
+export const getFingertipCursor = detectedHands => {
+    if (detectedHands.length === 0) return null;
+    const landmarks = detectedHands[0].landmarks;
+    const tip = landmarks[8];
+    const pinch = getPinchDistance(landmarks);
+    return {
+        x: tip.x,
+        y: tip.y,
+        z: tip.z,
+        isPinching: pinch !== null && pinch < PINCH_THRESHOLD
+    };
+};
+
+// fingertip distance from the wrist, relative to the palm size: ~1 curled, ~1.9 spread
+const CLOSED_REACH = 1;
+const OPEN_REACH = 1.9;
+
+// how open the most open hand is: 0 fist .. 1 spread palm, 0 without hands
+export const getHandOpenness = detectedHands =>
+    detectedHands.reduce((max, { landmarks }) => {
+        const wrist = landmarks[0];
+        const palmSize = Math.hypot(
+            landmarks[9].x - wrist.x,
+            landmarks[9].y - wrist.y,
+            landmarks[9].z - wrist.z
+        );
+        if (palmSize <= 0) return max;
+        const reach =
+            [8, 12, 16, 20].reduce((sum, tip) => {
+                const t = landmarks[tip];
+                return sum + Math.hypot(t.x - wrist.x, t.y - wrist.y, t.z - wrist.z);
+            }, 0) / (4 * palmSize);
+        const openness = (reach - CLOSED_REACH) / (OPEN_REACH - CLOSED_REACH);
+        return Math.max(max, Math.min(1, Math.max(0, openness)));
+    }, 0);
+
+// ---------- landmarks -> scene targets ----------
+
+// what a hand's movements cover, per user / camera (recorded by the calibration wizard,
+// see calibration.js):
+//   pinch:     normalized thumb-index distance, closed .. fully open
+//   handDist:  palm-to-palm distance with two hands, close .. far apart
+//   frame:     image-space box the hand reaches, the rotation limits at its edges
+//   deadZones: pinch at both ends and the frame center (share of the half frame),
+//              so tracker jitter at rest doesn't move the scene
+export const DEFAULT_CALIBRATION = {
+    pinch: { min: 0.05, max: 1.2 },
+    handDist: { min: 0.1, max: 0.8 },
+    frame: { minX: 0, maxX: 1, minY: 0, maxY: 1 },
+    deadZones: { pinch: 0, center: 0 },
+    invertX: false,
+    invertY: false
+};
+
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 3;
+const MAX_ROT_X = Math.PI / 6; // 30 degrees up/down
+const MAX_ROT_Y = Math.PI / 4; // 45 degrees left/right
+const MAX_ROT_Z = Math.PI / 2;
+
+// value in [min, max] to [0, 1], clamped; the dead zone is cut off at both ends
+const toUnitRange = (value, { min, max }, deadZone = 0) => {
+    const low = min + deadZone;
+    const high = max - deadZone;
+    if (high <= low) return value >= (min + max) / 2 ? 1 : 0;
+    return Math.min(1, Math.max(0, (value - low) / (high - low)));
+};
+
+// image position to [-1, 1] within the calibrated frame, still around the center
+const toFrameAxis = (value, min, max, deadZone) => {
+    const centered = Math.min(1, Math.max(-1, ((value - min) / (max - min) - 0.5) * 2));
+    const outside = Math.max(0, Math.abs(centered) - deadZone) / (1 - deadZone);
+    return Math.sign(centered) * outside;
+};
+
+const IDLE_TARGETS = {
+    handScaleTarget: 1,
+    isHandDetected: false,
+    rotationXTarget: 0,
+    rotationYTarget: 0,
+    rotationZTarget: 0
+};
+
+const pickTargets = ({
+    handScaleTarget,
+    isHandDetected,
+    rotationXTarget,
+    rotationYTarget,
+    rotationZTarget
+}) => ({ handScaleTarget, isHandDetected, rotationXTarget, rotationYTarget, rotationZTarget });
+
+// map one frame of detected hands to scale / rotation targets.
+// kept pure so recorded sessions replay through exactly the same code as the live camera.
+// The targets are raw, smoothing happens in the animation loop (see filtering.js).
+// previous: last targets, calibration: ranges of the active profile
+export const mapHandsToTargets = (detectedHands, previous = IDLE_TARGETS, calibration = DEFAULT_CALIBRATION) => {
+    // no hand detected: reset scale and rotation targets
+    if (detectedHands.length === 0) return { ...IDLE_TARGETS };
+
+    const { pinch, handDist, frame, deadZones, invertX, invertY } = calibration;
+
+    let scaleTarget = null;
+    let rotZTarget = 0;
+    let ref = null;
+
+    if (detectedHands.length >= 2) {
+        // two hands: palm distance drives scale, the palm-to-palm line drives twist
+        const left = getPalmCenter(detectedHands.find(h => h.side === 'Left').landmarks);
+        const right = getPalmCenter(detectedHands.find(h => h.side === 'Right').landmarks);
+
+        const palmDist = Math.hypot(right.x - left.x, right.y - left.y);
+        scaleTarget = lerp(MIN_SCALE, MAX_SCALE, toUnitRange(palmDist, handDist));
+
+        // image y points down, so negate it to get a counter-clockwise angle
+        const angle = Math.atan2(-(right.y - left.y), right.x - left.x);
+        rotZTarget = Math.min(MAX_ROT_Z, Math.max(-MAX_ROT_Z, angle));
+
+        // midpoint between both palms controls X/Y rotation
+        ref = { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 };
+    } else {
+        const landmarks = detectedHands[0].landmarks;
+        const normalizedDist = getPinchDistance(landmarks);
+
+        if (normalizedDist !== null) {
+            scaleTarget = lerp(MIN_SCALE, MAX_SCALE, toUnitRange(normalizedDist, pinch, deadZones.pinch));
+
+            // use middle finger base as reference for rotation control
+            // x controls left/right rotation, y controls up/down rotation
+            ref = landmarks[9];
+        }
+    }
+
+    // degenerate landmarks: keep the previous targets
+    if (!ref) return pickTargets(previous);
+
+    // map the calibrated frame to [-1,1]
+    const normX = toFrameAxis(ref.x, frame.minX, frame.maxX, deadZones.center); // left (-1) to right (+1)
+    const normY = toFrameAxis(ref.y, frame.minY, frame.maxY, deadZones.center); // up (-1) to down (+1)
+
+    // Invert Y so that moving hand up rotates shape upward
+    return {
+        handScaleTarget: scaleTarget,
+        isHandDetected: true,
+        rotationXTarget: -normY * MAX_ROT_X * (invertY ? -1 : 1),
+        rotationYTarget: normX * MAX_ROT_Y * (invertX ? -1 : 1),
+        rotationZTarget: rotZTarget
+    };
+};
@@ -0,0 +1,147 @@
+import { registerPattern } from './patterns.js';
+import { createWeightedPicker } from './utils.js';
+
+// ---------- image import ----------
+
+export const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif'];
+
+export const DEFAULT_IMAGE_OPTIONS = {
+    weightBy: 'brightness',  // 'brightness' or 'alpha'
+    threshold: 0.2,          // 0..1, pixels below are skipped
+    invert: false,           // weight dark pixels instead (logos on white)
+    keepAspect: true,        // false stretches the image to a square
+    depth: 0                 // 0..1, luminance-to-depth extrusion
+};
+
+// long side of the sampling canvas, plenty for particle counts up to 500k
+const SAMPLE_SIZE = 256;
+
+// images are sampled into [-1, 1] like the drawing canvas, then scaled like the built-ins
+const IMAGE_SCALE = 3;
+
+// random z spread when depth extrusion is off, keeps flat images from z-fighting
+const FLAT_Z_SPREAD = 0.05;
+
+export const loadImageFile = file => createImageBitmap(file);
+
+// rasterize an image into a small canvas and read its pixels
+const readPixels = image => {
+    const ratio = SAMPLE_SIZE / Math.max(image.width, image.height);
+    const width = Math.max(1, Math.round(image.width * ratio));
+    const height = Math.max(1, Math.round(image.height * ratio));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, width, height);
+
+    return { width, height, pixels: ctx.getImageData(0, 0, width, height).data };
+};
+
+// weighted pixel samples: positions in [-1, 1] and colors taken from the source pixels
+// pixels: RGBA bytes (ImageData.data layout)
+export const samplePixels = ({ width, height, pixels }, count, rng, options = {}) => {
+    const { weightBy, threshold, invert, keepAspect, depth } = { ...DEFAULT_IMAGE_OPTIONS, ...options };
+
+    const pixelCount = width * height;
+    const weights = new Float32Array(pixelCount);
+    const luminance = new Float32Array(pixelCount);
+    let hasWeight = false;
+
+    for (let i = 0; i < pixelCount; i++) {
+        const r = pixels[i * 4] / 255;
+        const g = pixels[i * 4 + 1] / 255;
+        const b = pixels[i * 4 + 2] / 255;
+        const alpha = pixels[i * 4 + 3] / 255;
+        luminance[i] = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+        let value = weightBy === 'alpha' ? alpha : luminance[i];
+        if (invert) value = 1 - value;
+        // transparent pixels never count in brightness mode
+        if (weightBy !== 'alpha') value *= alpha;
+
+        if (value >= threshold && value > 0) {
+            weights[i] = value;
+            hasWeight = true;
+        }
+    }
+
+    if (!hasWeight) return null;
+
+    const pickPixel = createWeightedPicker(weights);
+
+    // longer side maps to [-1, 1]
+    const longSide = Math.max(width, height);
+    const scaleX = keepAspect ? width / longSide : 1;
+    const scaleY = keepAspect ? height / longSide : 1;
+
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        const index = pickPixel(rng());
+        const px = index % width;
+        const py = Math.floor(index / width);
+
+        // jitter inside the pixel so repeated picks don't stack
+        const i3 = i * 3;
+        positions[i3] = ((px + rng()) / width - 0.5) * 2 * scaleX;
+        positions[i3 + 1] = -((py + rng()) / height - 0.5) * 2 * scaleY; // Flip Y
+        positions[i3 + 2] = depth > 0
+            ? (luminance[index] - 0.5) * depth
+            : (rng() - 0.5) * FLAT_Z_SPREAD;
+
+        colors[i3] = pixels[index * 4] / 255;
+        colors[i3 + 1] = pixels[index * 4 + 1] / 255;
+        colors[i3 + 2] = pixels[index * 4 + 2] / 255;
+    }
+
+    return { positions, colors };
+};
+
+// register an image as a pattern (re-registering replaces it), returns the pattern id
+export const registerImagePattern = (name, image, options = {}) => {
+    const source = readPixels(image);
+
+    // samples depend on the particle count, so they are drawn lazily per count
+    let samples = null;
+    const getSamples = (count, rng) => {
+        if (!samples || samples.count !== count) {
+            samples = { count, data: samplePixels(source, count, rng, options) };
+        }
+        return samples.data;
+    };
+
+    const id = `image:${name}`;
+    registerPattern({
+        id,
+        label: name.length > 10 ? `${name.slice(0, 9)}…` : name,
+        icon: '🖼️',
+        scale: IMAGE_SCALE,
+        ownColors: true,
+        generate: (index, count, rng, { scale }) => {
+            const data = getSamples(count, rng);
+            // nothing passes the threshold: collapse to a faint dot cloud
+            if (!data) {
+                return {
+                    x: (rng() - 0.5) * 0.2,
+                    y: (rng() - 0.5) * 0.2,
+                    z: (rng() - 0.5) * 0.1
+                };
+            }
+            return {
+                x: data.positions[index * 3] * scale,
+                y: data.positions[index * 3 + 1] * scale,
+                z: data.positions[index * 3 + 2] * scale
+            };
+        },
+        color: (index, count, rng) => {
+            const data = getSamples(count, rng);
+            if (!data) return [1, 1, 1];
+            return [data.colors[index * 3], data.colors[index * 3 + 1], data.colors[index * 3 + 2]];
+        }
+    });
+
+    return id;
+};
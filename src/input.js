@@ -0,0 +1,259 @@
+// ---------- scene input ----------
+//
+// Every way of steering the scene produces the same targets, which the animation loop eases
+// towards:
+//   { handScaleTarget, rotationXTarget, rotationYTarget, rotationZTarget, panXTarget, panYTarget }
+// A source returns its targets while it is in control, or null. Sources are ranked: hand
+// tracking first (see mapHandsToTargets in hands.js), then mouse / touch / keyboard.
+// Without any source in control the scene idles.
+
+export const IDLE_INPUT = {
+    handScaleTarget: 1,
+    rotationXTarget: 0,
+    rotationYTarget: 0,
+    rotationZTarget: 0,
+    panXTarget: 0,
+    panYTarget: 0,
+    isSteered: false
+};
+
+// targets of the first source in control, sources in priority order
+export const resolveInputTargets = sources => {
+    const targets = sources.find(source => source);
+    return targets ? { ...IDLE_INPUT, ...targets, isSteered: true } : IDLE_INPUT;
+};
+
+// ---------- mouse / touch / keyboard ----------
+
+const ROTATE_SPEED = 0.008;     // rad per dragged pixel
+const PAN_SPEED = 0.01;         // scene units per dragged pixel
+const WHEEL_ZOOM = 0.0015;      // scale factor per wheel pixel (exponential)
+const KEY_SPIN = 1.5;           // rad/s added per arrow key press
+const KEY_PAN = 0.25;           // scene units per arrow key press with Shift
+const KEY_ZOOM = 1.15;
+const FRICTION = 3;             // inertia loss per second
+const MIN_VELOCITY = 0.01;      // rad/s, slower counts as stopped
+const RELEASE_STILL_TIME = 100; // ms without motion before release: no fling
+const IDLE_TIMEOUT = 8000;      // ms without input before the scene idles again
+
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 3;
+const MAX_PAN = 4;
+const MAX_ROT_X = Math.PI / 2;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+
+// drag to rotate (with inertia), wheel / pinch to zoom, two-finger drag to pan,
+// arrows rotate (Shift+arrows pan), +/- zoom, 0 or double-click hand back to idle.
+// element: the renderer canvas. Keys only count while the canvas (focusable, a click on the
+// scene focuses it) or nothing in particular has focus, so the panel keeps its keyboard use.
+export const createPointerInput = element => {
+    const pointers = new Map();     // pointerId -> { x, y }
+    const pending = { rotX: 0, rotY: 0, zoom: 1, panX: 0, panY: 0 };
+    const velocity = { x: 0, y: 0 };   // rad/s around X / Y
+    const state = { rotX: 0, rotY: 0, scale: 1, panX: 0, panY: 0 };
+    let active = false;
+    let resetRequested = false;
+    let lastInputTime = 0;
+    let lastMoveTime = 0;
+    let lastUpdateTime = null;
+    let gesture = null;     // two-finger { distance, x, y }
+
+    const markInput = () => {
+        lastInputTime = performance.now();
+    };
+
+    const getTwoFingerGesture = () => {
+        const [a, b] = [...pointers.values()];
+        return { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    };
+
+    const handlePointerDown = e => {
+        element.setPointerCapture?.(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        velocity.x = 0;
+        velocity.y = 0;
+        gesture = pointers.size === 2 ? getTwoFingerGesture() : null;
+        markInput();
+    };
+
+    const handlePointerMove = e => {
+        const previous = pointers.get(e.pointerId);
+        if (!previous) return;
+        const now = performance.now();
+        const dx = e.clientX - previous.x;
+        const dy = e.clientY - previous.y;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (pointers.size === 1) {
+            pending.rotY += dx * ROTATE_SPEED;
+            pending.rotX += dy * ROTATE_SPEED;
+            // drag speed becomes the fling speed on release
+            const dt = Math.max(1, now - lastMoveTime) / 1000;
+            velocity.x = (velocity.x + (dy * ROTATE_SPEED) / dt) / 2;
+            velocity.y = (velocity.y + (dx * ROTATE_SPEED) / dt) / 2;
+            lastMoveTime = now;
+        } else if (pointers.size === 2 && gesture) {
+            const next = getTwoFingerGesture();
+            if (gesture.distance > 0) pending.zoom *= next.distance / gesture.distance;
+            pending.panX += (next.x - gesture.x) * PAN_SPEED;
+            pending.panY -= (next.y - gesture.y) * PAN_SPEED;
+            gesture = next;
+        }
+        markInput();
+    };
+
+    const handlePointerUp = e => {
+        pointers.delete(e.pointerId);
+        // a finger lifted from a pinch: continue from the remaining finger without a jump
+        gesture = null;
+        if (pointers.size === 0 && performance.now() - lastMoveTime > RELEASE_STILL_TIME) {
+            velocity.x = 0;
+            velocity.y = 0;
+        }
+        markInput();
+    };
+
+    const handleWheel = e => {
+        e.preventDefault();
+        pending.zoom *= Math.exp(-e.deltaY * WHEEL_ZOOM);
+        markInput();
+    };
+
+    const handleDoubleClick = () => {
+        resetRequested = true;
+    };
+
+    const handleKeyDown = e => {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target !== element && e.target !== document.body) return;
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (arrows[e.key]) {
+            const [x, y] = arrows[e.key];
+            if (e.shiftKey) {
+                pending.panX += x * KEY_PAN;
+                pending.panY -= y * KEY_PAN;
+            } else {
+                velocity.y += x * KEY_SPIN;
+                velocity.x += y * KEY_SPIN;
+            }
+        } else if (e.key === '+' || e.key === '=') {
+            pending.zoom *= KEY_ZOOM;
+        } else if (e.key === '-') {
+            pending.zoom /= KEY_ZOOM;
+        } else if (e.key === '0') {
+            resetRequested = true;
+            return;
+        } else {
+            return;
+        }
+        e.preventDefault();
+        markInput();
+    };
+
+    element.tabIndex = 0;
+    element.style.outline = 'none';
+    element.style.touchAction = 'none';
+    element.addEventListener('pointerdown', handlePointerDown);
+    element.addEventListener('pointermove', handlePointerMove);
+    element.addEventListener('pointerup', handlePointerUp);
+    element.addEventListener('pointercancel', handlePointerUp);
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    element.addEventListener('dblclick', handleDoubleClick);
+    window.addEventListener('keydown', handleKeyDown);
+
+    const clearPending = () => {
+        pending.rotX = 0;
+        pending.rotY = 0;
+        pending.zoom = 1;
+        pending.panX = 0;
+        pending.panY = 0;
+    };
+
+    // give up control (another source took over, or a reset): the next input starts
+    // again from wherever the scene is then
+    const release = () => {
+        active = false;
+        velocity.x = 0;
+        velocity.y = 0;
+        clearPending();
+    };
+
+    // once per frame: targets while in control, else null.
+    // current: { rotation, scale, panX, panY } as shown now, picked up when control starts
+    const update = (now, current) => {
+        const dt = lastUpdateTime === null ? 0 : Math.min(0.1, (now - lastUpdateTime) / 1000);
+        lastUpdateTime = now;
+
+        if (resetRequested) {
+            resetRequested = false;
+            release();
+            return null;
+        }
+
+        const hasInput = pending.rotX || pending.rotY || pending.zoom !== 1 || pending.panX || pending.panY ||
+            velocity.x || velocity.y || pointers.size > 0;
+        if (!active && hasInput) {
+            active = true;
+            state.rotX = current.rotation.x;
+            state.rotY = current.rotation.y;
+            state.scale = current.scale;
+            state.panX = current.panX;
+            state.panY = current.panY;
+        }
+        if (!active) return null;
+
+        state.rotX += pending.rotX;
+        state.rotY += pending.rotY;
+        state.scale *= pending.zoom;
+        state.panX += pending.panX;
+        state.panY += pending.panY;
+        clearPending();
+
+        // inertia once the pointer is up
+        if (pointers.size === 0) {
+            state.rotX += velocity.x * dt;
+            state.rotY += velocity.y * dt;
+            const decay = Math.exp(-FRICTION * dt);
+            velocity.x *= decay;
+            velocity.y *= decay;
+            if (Math.hypot(velocity.x, velocity.y) < MIN_VELOCITY) {
+                velocity.x = 0;
+                velocity.y = 0;
+            }
+        }
+
+        state.rotX = clamp(state.rotX, -MAX_ROT_X, MAX_ROT_X);
+        state.scale = clamp(state.scale, MIN_SCALE, MAX_SCALE);
+        state.panX = clamp(state.panX, -MAX_PAN, MAX_PAN);
+        state.panY = clamp(state.panY, -MAX_PAN, MAX_PAN);
+
+        const moving = pointers.size > 0 || velocity.x || velocity.y;
+        if (!moving && now - lastInputTime > IDLE_TIMEOUT) {
+            release();
+            return null;
+        }
+
+        return {
+            handScaleTarget: state.scale,
+            rotationXTarget: state.rotX,
+            rotationYTarget: state.rotY,
+            rotationZTarget: 0,
+            panXTarget: state.panX,
+            panYTarget: state.panY
+        };
+    };
+
+    const dispose = () => {
+        element.removeEventListener('pointerdown', handlePointerDown);
+        element.removeEventListener('pointermove', handlePointerMove);
+        element.removeEventListener('pointerup', handlePointerUp);
+        element.removeEventListener('pointercancel', handlePointerUp);
+        element.removeEventListener('wheel', handleWheel);
+        element.removeEventListener('dblclick', handleDoubleClick);
+        window.removeEventListener('keydown', handleKeyDown);
+    };
+
+    return { update, release, dispose };
+};
@@ -0,0 +1,259 @@
+import * as THREE from 'three';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { registerPattern } from './patterns.js';
+import { createWeightedPicker, getFileExtension } from './utils.js';
+
+// ---------- 3D model import ----------
+
+export const MODEL_EXTENSIONS = ['obj', 'ply', 'gltf', 'glb'];
+
+// same "edge bias + inner" split the sphere and cube generators use
+const EDGE_BIAS = 0.7;
+
+// models are normalized to a unit radius, then scaled like the built-in shapes
+const MODEL_SCALE = 3;
+
+// parse a dropped / picked file into a three.js object
+export const loadModelFile = async file => {
+    const extension = getFileExtension(file.name);
+
+    switch (extension) {
+        case 'obj':
+            return new OBJLoader().parse(await file.text());
+
+        case 'ply': {
+            const geometry = new PLYLoader().parse(await file.arrayBuffer());
+            // PLY without faces is a point cloud
+            const hasColors = !!geometry.getAttribute('color');
+            const material = new THREE.MeshBasicMaterial({ vertexColors: hasColors });
+            return geometry.index
+                ? new THREE.Mesh(geometry, material)
+                : new THREE.Points(geometry, new THREE.PointsMaterial({ vertexColors: hasColors }));
+        }
+
+        case 'gltf':
+        case 'glb': {
+            const buffer = await file.arrayBuffer();
+            const gltf = await new Promise((resolve, reject) =>
+                new GLTFLoader().parse(buffer, '', resolve, reject)
+            );
+            return gltf.scene;
+        }
+
+        default:
+            throw new Error(`Unsupported model format ".${extension}" (use ${MODEL_EXTENSIONS.join(', ')}).`);
+    }
+};
+
+// read vertex color i, falling back to the material color or white
+const readColor = (colorAttribute, materialColor, index) =>
+    colorAttribute
+        ? [colorAttribute.getX(index), colorAttribute.getY(index), colorAttribute.getZ(index)]
+        : materialColor;
+
+// flatten every mesh / point cloud in the object into world-space triangles and points
+const collectGeometry = object => {
+    const triangles = [];   // { a, b, c, colors: [ca, cb, cc], area }
+    const points = [];      // { position, color }
+    let hasVertexColors = false;
+
+    object.updateMatrixWorld(true);
+
+    object.traverse(child => {
+        if (!child.isMesh && !child.isPoints) return;
+
+        const geometry = child.geometry;
+        const position = geometry.getAttribute('position');
+        if (!position) return;
+
+        const colorAttribute = geometry.getAttribute('color') ?? null;
+        if (colorAttribute) hasVertexColors = true;
+
+        const material = Array.isArray(child.material) ? child.material[0] : child.material;
+        const materialColor = material?.color
+            ? [material.color.r, material.color.g, material.color.b]
+            : [1, 1, 1];
+
+        const readVertex = index =>
+            new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(child.matrixWorld);
+
+        if (child.isPoints) {
+            for (let i = 0; i < position.count; i++) {
+                points.push({
+                    position: readVertex(i),
+                    color: readColor(colorAttribute, materialColor, i)
+                });
+            }
+            return;
+        }
+
+        const index = geometry.index;
+        const vertexCount = index ? index.count : position.count;
+        const vertexAt = i => (index ? index.getX(i) : i);
+
+        for (let i = 0; i + 2 < vertexCount; i += 3) {
+            const ia = vertexAt(i);
+            const ib = vertexAt(i + 1);
+            const ic = vertexAt(i + 2);
+            const a = readVertex(ia);
+            const b = readVertex(ib);
+            const c = readVertex(ic);
+            const area = new THREE.Triangle(a, b, c).getArea();
+            if (area <= 0) continue;
+
+            triangles.push({
+                a,
+                b,
+                c,
+                area,
+                colors: [
+                    readColor(colorAttribute, materialColor, ia),
+                    readColor(colorAttribute, materialColor, ib),
+                    readColor(colorAttribute, materialColor, ic)
+                ]
+            });
+        }
+    });
+
+    return { triangles, points, hasVertexColors };
+};
+
+// area-weighted surface samples, or direct points for point clouds
+const sampleSurface = ({ triangles, points }, count, rng, fillVolume) => {
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    const write = (i, position, color) => {
+        positions[i * 3] = position.x;
+        positions[i * 3 + 1] = position.y;
+        positions[i * 3 + 2] = position.z;
+        colors[i * 3] = color[0];
+        colors[i * 3 + 1] = color[1];
+        colors[i * 3 + 2] = color[2];
+    };
+
+    if (triangles.length > 0) {
+        const pickTriangle = createWeightedPicker(triangles.map(triangle => triangle.area));
+
+        const point = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            const { a, b, c, colors: [ca, cb, cc] } = triangles[pickTriangle(rng())];
+
+            // uniform barycentric coordinates
+            let u = rng();
+            let v = rng();
+            if (u + v > 1) {
+                u = 1 - u;
+                v = 1 - v;
+            }
+            const w = 1 - u - v;
+
+            point.set(0, 0, 0)
+                .addScaledVector(a, w)
+                .addScaledVector(b, u)
+                .addScaledVector(c, v);
+            write(i, point, [
+                ca[0] * w + cb[0] * u + cc[0] * v,
+                ca[1] * w + cb[1] * u + cc[1] * v,
+                ca[2] * w + cb[2] * u + cc[2] * v
+            ]);
+        }
+    } else {
+        // point cloud: stride through the points, repeats get a little jitter
+        const jitter = count > points.length ? 0.01 : 0;
+        const point = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            const source = points[Math.floor((i * points.length) / count)];
+            point.copy(source.position);
+            if (jitter) {
+                point.x += (rng() - 0.5) * jitter;
+                point.y += (rng() - 0.5) * jitter;
+                point.z += (rng() - 0.5) * jitter;
+            }
+            write(i, point, source.color);
+        }
+    }
+
+    normalizePositions(positions);
+
+    // optional inner fill: pull some samples towards the center, denser near the shell
+    if (fillVolume && triangles.length > 0) {
+        for (let i = 0; i < count; i++) {
+            if (rng() < EDGE_BIAS) continue;
+            const t = rng();
+            const innerFactor = 0.9 * (1 - t * t);
+            positions[i * 3] *= innerFactor;
+            positions[i * 3 + 1] *= innerFactor;
+            positions[i * 3 + 2] *= innerFactor;
+        }
+    }
+
+    return { positions, colors };
+};
+
+// center on the bounding box and scale to a unit radius
+const normalizePositions = positions => {
+    const box = new THREE.Box3();
+    const point = new THREE.Vector3();
+    for (let i = 0; i < positions.length; i += 3) {
+        box.expandByPoint(point.fromArray(positions, i));
+    }
+    const center = box.getCenter(new THREE.Vector3());
+
+    let radius = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+        radius = Math.max(radius, point.fromArray(positions, i).distanceTo(center));
+    }
+    const factor = radius > 0 ? 1 / radius : 1;
+
+    for (let i = 0; i < positions.length; i += 3) {
+        positions[i] = (positions[i] - center.x) * factor;
+        positions[i + 1] = (positions[i + 1] - center.y) * factor;
+        positions[i + 2] = (positions[i + 2] - center.z) * factor;
+    }
+};
+
+// register a loaded model as a pattern, returns the new pattern id
+export const registerModelPattern = (name, object, { fillVolume = true } = {}) => {
+    const geometry = collectGeometry(object);
+    if (geometry.triangles.length === 0 && geometry.points.length === 0) {
+        throw new Error('The model contains no triangles or points.');
+    }
+
+    // samples depend on the particle count, so they are drawn lazily per count
+    let samples = null;
+    const getSamples = (count, rng) => {
+        if (!samples || samples.count !== count) {
+            samples = { count, ...sampleSurface(geometry, count, rng, fillVolume) };
+        }
+        return samples;
+    };
+
+    const id = `model:${name}`;
+    registerPattern({
+        id,
+        label: name.length > 10 ? `${name.slice(0, 9)}…` : name,
+        icon: '🧊',
+        scale: MODEL_SCALE,
+        generate: (index, count, rng, { scale }) => {
+            const { positions } = getSamples(count, rng);
+            return {
+                x: positions[index * 3] * scale,
+                y: positions[index * 3 + 1] * scale,
+                z: positions[index * 3 + 2] * scale
+            };
+        },
+        // without vertex colors the default palette looks better than flat material colors
+        ...(geometry.hasVertexColors && {
+            ownColors: true,
+            color: (index, count, rng) => {
+                const { colors } = getSamples(count, rng);
+                return [colors[index * 3], colors[index * 3 + 1], colors[index * 3 + 2]];
+            }
+        })
+    });
+
+    return id;
+};
@@ -0,0 +1,74 @@
+// ---------- living particles ----------
+//
+// Once a shape has formed, the particles keep moving a little, entirely in the vertex shader:
+//   twinkle  size and brightness pulse per particle, with a random phase from a_seed
+//   drift    every particle wanders around its target along a curl (divergence-free) field,
+//            so neighbours flow together instead of jittering on their own
+// An open hand stirs the cloud up: more drift, plus finer eddies on top.
+
+export const DEFAULT_MOTION_OPTIONS = {
+    twinkleAmount: 0.3,   // 0: steady, 1: pulses all the way down to nothing
+    twinkleSpeed: 0.8,    // average pulses per second
+    driftAmount: 0.05,    // pattern units around the target
+    driftSpeed: 0.15,     // field cycles per second
+    handReaction: 1       // how much an open hand adds turbulence
+};
+
+// drift multiplier at full hand openness (and hand reaction 1)
+const HAND_TURBULENCE = 4;
+
+// Time enters the shader as phases in cycles, accumulated here and wrapped every
+// PHASE_WRAP cycles: a float32 clock that kept growing would make sin() stutter after a few
+// hours of an unattended show. Every frequency in the shader completes whole cycles over
+// PHASE_WRAP (drift multipliers have one decimal, x2.3 for the fine eddies; per-particle
+// twinkle rates are rounded to 1 / PHASE_WRAP), so the wrap is invisible.
+const PHASE_WRAP = 100;
+
+export const motionShaderChunk = `
+  uniform float u_twinklePhase;
+  uniform float u_twinkleAmount;
+  uniform float u_driftPhase;
+  uniform float u_driftAmount;
+  uniform float u_turbulence;
+
+  // curl of the potential A = (sin y + cos z, sin z + cos x, sin x + cos y) with drifting
+  // phases: smooth and divergence-free, and much cheaper per vertex than gradient noise
+  vec3 curlField(vec3 p, float t) {
+    return vec3(
+      -sin(p.y + t * 0.8 + 5.2) - cos(p.z + t * 1.3 + 2.1),
+      -sin(p.z + t * 0.7 + 1.3) - cos(p.x + t * 1.1 + 3.7),
+      -sin(p.x + t * 0.9 + 0.4) - cos(p.y + t)
+    ) * 0.5;
+  }
+
+  vec3 drift(vec3 target, float seed) {
+    float t = u_driftPhase * 6.2831853;
+    vec3 p = target * 1.3 + seed * 0.5;
+    vec3 flow = curlField(p, t) + curlField(p * 2.7 + 4.0, t * 2.3) * 0.5 * u_turbulence;
+    return flow * u_driftAmount * (1.0 + u_turbulence * ${HAND_TURBULENCE.toFixed(1)});
+  }
+
+  // 1 = full size and brightness, down to 1 - u_twinkleAmount
+  float twinkle(float seed) {
+    float rate = floor((0.6 + 0.8 * fract(seed * 7.13)) * ${PHASE_WRAP.toFixed(1)} + 0.5) / ${PHASE_WRAP.toFixed(1)};
+    float pulse = 0.5 + 0.5 * sin(u_twinklePhase * rate * 6.2831853 + seed * 62.83);
+    return 1.0 - u_twinkleAmount * pulse;
+  }
+`;
+
+export const INITIAL_MOTION_PHASES = { twinkle: 0, drift: 0 };
+
+// phases after dt seconds at the current speeds, so a speed change doesn't jump either
+export const advanceMotionPhases = (phases, options, dt) => ({
+    twinkle: (phases.twinkle + dt * options.twinkleSpeed) % PHASE_WRAP,
+    drift: (phases.drift + dt * options.driftSpeed) % PHASE_WRAP
+});
+
+// openness 0 (fist / no hand) .. 1 (open palm), already smoothed
+export const getMotionUniforms = (options, phases, openness) => ({
+    u_twinklePhase: phases.twinkle,
+    u_twinkleAmount: options.twinkleAmount,
+    u_driftPhase: phases.drift,
+    u_driftAmount: options.driftAmount,
+    u_turbulence: openness * options.handReaction
+});
@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+
+// ---------- pattern registry ----------
+//
+// A pattern is one plain object:
+//
+//   registerPattern({
+//       id: 'spiral',
+//       label: 'Spiral',
+//       icon: '🌀',
+//       scale: 3,                        // default extent, passed to the hooks
+//       tilt: { x: Math.PI / 8, z: 0 },  // idle tilt while no hand is detected
+//       generate: (index, count, rng, context) => ({ x, y, z }),
+//       size: (index, count, rng, context) => number,              // optional
+//       color: (index, count, rng, context) => THREE.Color | [r, g, b], // optional
+//       ownColors: false,                // true: color gives final colors, the tint is skipped
+//       interactive: false               // true: needs mouse input, skipped when cycling
+//   });
+//
+// context: { scale, position (size / color hooks only), ...extra data from the caller }
+// rng: () => number in [0, 1), Math.random unless the caller seeds it.
+// Extra patterns can live in their own module and call registerPattern on import.
+
+const registry = new Map();
+const listeners = new Set();
+
+const DEFAULT_TILT = { x: 0, z: 0 };
+
+export const registerPattern = pattern => {
+    if (!pattern?.id || typeof pattern.generate !== 'function') {
+        throw new Error('registerPattern needs at least an id and a generate function');
+    }
+
+    registry.set(pattern.id, {
+        label: pattern.id,
+        icon: '✨',
+        scale: 3,
+        tilt: DEFAULT_TILT,
+        interactive: false,
+        ownColors: false,
+        ...pattern
+    });
+    listeners.forEach(listener => listener());
+};
+
+export const unregisterPattern = id => {
+    if (registry.delete(id)) listeners.forEach(listener => listener());
+};
+
+export const getPattern = id => registry.get(id) ?? null;
+
+// registration order is display order
+export const getPatterns = () => Array.from(registry.values());
+
+// called whenever the registry changes, returns an unsubscribe function
+export const subscribePatterns = listener => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// small seedable generator (mulberry32) for reproducible shapes
+export const createRng = seed => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// ---------- default hooks ----------
+
+export const defaultSize = (index, count, rng) => rng() * 0.5 + 0.1;
+
+export const defaultColor = (index, count, rng) =>
+    new THREE.Color().setHSL(rng() * 0.1 + 0.5, 0.7, rng() * 0.5 + 0.3);
+
+// solid-ish sphere, also used for unknown pattern ids
+export const fallbackGenerate = (index, count, rng, { scale }) => {
+    const phi = Math.acos(-1 + (2 * index) / count);
+    const theta = Math.sqrt(count * Math.PI) * phi;
+    const r = Math.pow(rng(), 1 / 3) * scale;
+    return new THREE.Vector3().setFromSphericalCoords(r, phi, theta);
+};
+
+// ---------- built-in patterns ----------
+
+registerPattern({
+    id: 'heart',
+    label: 'Heart',
+    icon: '❤️',
+    scale: 2,
+    // clear outline, inner density falloff
+    generate: (index, count, rng, { scale }) => {
+        const hScale = scale * 0.1;
+        const t = rng() * Math.PI * 2;
+
+        const isTopIndent = t < Math.PI * 0.15 || t > Math.PI * 1.85;
+        const isBottomTip = t > Math.PI * 0.9 && t < Math.PI * 1.1;
+
+        let densityFactor = 1;
+        if (isTopIndent) densityFactor = 0.6;
+        else if (isBottomTip) densityFactor = 0.7;
+
+        const baseX = 16 * Math.pow(Math.sin(t), 3);
+        const baseY =
+            13 * Math.cos(t) -
+            5 * Math.cos(2 * t) -
+            2 * Math.cos(3 * t) -
+            Math.cos(4 * t);
+
+        let r;
+        const outerThreshold = 0.3 * densityFactor;
+        if (rng() < outerThreshold) {
+            r = 0.9 + rng() * 0.1;
+        } else {
+            const innerBias = densityFactor < 1 ? 0.5 : 0.3;
+            r = Math.pow(rng(), innerBias) * 0.9;
+        }
+
+        const zThickness = r * scale * 0.3;
+        return {
+            x: hScale * baseX * r,
+            y: hScale * baseY * r,
+            z: (rng() - 0.5) * zThickness
+        };
+    }
+});
+
+registerPattern({
+    id: 'cube',
+    label: 'Cube',
+    icon: '⬛',
+    scale: 2,
+    // cube with clear outline:
+    // - many particles on the faces (outline)
+    // - fewer particles inside
+    // - some face particles pushed slightly outward (glow)
+    generate: (index, count, rng, { scale }) => {
+        const edgeBias = 0.7;     // face probability
+        const glowChance = 0.25;  // chance to push a face particle outward
+
+        // random point in [-1, 1]^3
+        let x = rng() * 2 - 1;
+        let y = rng() * 2 - 1;
+        let z = rng() * 2 - 1;
+
+        if (rng() < edgeBias) {
+            // project onto the surface of the cube (one coord reaches ±1)
+            const maxAbs = Math.max(Math.abs(x), Math.abs(y), Math.abs(z)) || 1;
+            let factor = 1 / maxAbs; // brings point onto the surface
+
+            // small outward spread for some edge particles
+            if (rng() < glowChance) {
+                factor *= 1.02 + 0.05 * rng();
+            }
+
+            x *= factor * scale;
+            y *= factor * scale;
+            z *= factor * scale;
+        } else {
+            // inner cube with smaller size (less density near center)
+            const innerScale = scale * 0.7;
+            x *= innerScale;
+            y *= innerScale;
+            z *= innerScale;
+        }
+
+        return { x, y, z };
+    }
+});
+
+registerPattern({
+    id: 'sphere',
+    label: 'Sphere',
+    icon: '⚪',
+    scale: 3,
+    // sphere with clear outline:
+    // - majority of particles on a shell
+    // - fewer particles inside
+    // - some shell particles gently pushed outward (glow)
+    generate: (index, count, rng, { scale }) => {
+        const edgeBias = 0.7;     // shell probability
+        const glowChance = 0.25;  // chance to push a shell particle outward
+
+        // random direction on a unit sphere
+        const theta = 2 * Math.PI * rng();
+        const phi = Math.acos(2 * rng() - 1);
+        const dir = new THREE.Vector3(
+            Math.sin(phi) * Math.cos(theta),
+            Math.sin(phi) * Math.sin(theta),
+            Math.cos(phi)
+        );
+
+        let r;
+        if (rng() < edgeBias) {
+            // near outer shell
+            r = scale * (0.9 + 0.1 * rng());
+            // small outward spread on the edge (glow)
+            if (rng() < glowChance) {
+                r *= 1.02 + 0.05 * rng();
+            }
+        } else {
+            // inner region with lower density towards center
+            const t = rng(); // 0..1
+            // map so that inner radius is less likely than mid/outer
+            r = scale * 0.9 * (1 - t * t);
+        }
+
+        return dir.multiplyScalar(r);
+    }
+});
+
+registerPattern({
+    id: 'torus',
+    label: 'Torus',
+    icon: '⭕',
+    scale: 3,
+    // slightly tilted view
+    tilt: { x: Math.PI / 8, z: Math.PI / 14 },
+    generate: (index, count, rng, { scale }) => {
+        const angle1 = rng() * Math.PI * 2;
+        const angle2 = rng() * Math.PI * 2;
+        const R = scale * 0.7;
+        const rMax = scale * 0.3;
+        const r = Math.sqrt(rng()) * rMax;
+
+        return {
+            x: (R + r * Math.cos(angle2)) * Math.cos(angle1),
+            y: r * Math.sin(angle2),
+            z: (R + r * Math.cos(angle2)) * Math.sin(angle1)
+        };
+    }
+});
+
+registerPattern({
+    id: 'galaxy',
+    label: 'Galaxy',
+    icon: '🌌',
+    scale: 3,
+    // tilted towards the user, left high, right low
+    tilt: { x: Math.PI / 8, z: Math.PI / 10 },
+    generate: (index, count, rng, { scale }) => {
+        const arms = 3;
+        const armIndex = index % arms;
+        const angleOffset = (armIndex / arms) * Math.PI * 2;
+        const radius = Math.pow(rng(), 0.5) * scale;
+        const angle = angleOffset + (radius / scale) * Math.PI * 4;
+
+        const offsetX = (rng() - 0.5) * 0.3;
+        const offsetY = (rng() - 0.5) * 0.15;
+        const offsetZ = (rng() - 0.5) * 0.3;
+
+        return {
+            x: radius * Math.cos(angle) + offsetX,
+            y: offsetY,
+            z: radius * Math.sin(angle) + offsetZ
+        };
+    }
+});
+
+registerPattern({
+    id: 'wave',
+    label: 'Wave',
+    icon: '🌊',
+    scale: 3,
+    generate: (index, count, rng, { scale }) => {
+        const gridSize = Math.ceil(Math.sqrt(count));
+        const x = ((index % gridSize) / gridSize - 0.5) * scale * 2;
+        const z = (Math.floor(index / gridSize) / gridSize - 0.5) * scale * 2;
+
+        const baseY = Math.sin(x * 1.5) * Math.cos(z * 1.5) * scale * 0.4;
+        const yOffset = (rng() - 0.5) * scale * 0.2;
+
+        return { x, y: baseY + yOffset, z };
+    }
+});
+
+registerPattern({
+    id: 'custom',
+    label: 'Draw',
+    icon: '✏️',
+    scale: 4,
+    interactive: true,
+    // context.customParticles: points sampled from the drawing, in [-1, 1]
+    generate: (index, count, rng, { scale, customParticles }) => {
+        // the list may have been sampled for a different particle count
+        const p = customParticles && customParticles[Math.floor((index * customParticles.length) / count)];
+        if (p) {
+            return { x: p.x * scale, y: p.y * scale, z: p.z * scale };
+        }
+
+        // nothing drawn yet: small sphere
+        return fallbackGenerate(index, count, rng, { scale: scale * 0.5 });
+    }
+});
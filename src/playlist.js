@@ -0,0 +1,160 @@
+import { downloadBlob } from './utils.js';
+
+// ---------- pattern playlist (auto show) ----------
+//
+// A playlist is a list of steps shown one after another:
+//   { version, loop, shuffle, idleTimeout (s), steps: [{ pattern, color, hold (s), transition (s) }] }
+//
+// The player only decides *when* a step starts; applying it is left to the caller,
+// like the quality controller:
+//
+//   const player = createPlaylistPlayer();
+//   const event = player.update(performance.now(), playlist, isHandDetected);
+//   if (event?.index !== undefined) showStep(playlist.steps[event.index]);
+//   if (event?.done) stop();
+
+export const PLAYLIST_VERSION = 1;
+
+export const createPlaylistStep = (pattern = 'heart', color = '#f9c8f5') => ({
+    pattern,
+    color,
+    hold: 8,          // seconds the shape stays after the transition
+    transition: 1.5   // seconds to morph into it
+});
+
+export const DEFAULT_PLAYLIST = {
+    version: PLAYLIST_VERSION,
+    loop: true,
+    shuffle: false,
+    idleTimeout: 5,   // seconds without a hand before the show resumes
+    steps: [
+        createPlaylistStep('heart', '#f9c8f5'),
+        createPlaylistStep('sphere', '#4facfe'),
+        createPlaylistStep('galaxy', '#ffc371'),
+        createPlaylistStep('torus', '#00ffa3')
+    ]
+};
+
+// Fisher-Yates, keeping `avoidFirst` off the first slot so a reshuffle never repeats a step
+const shuffleIndices = (count, avoidFirst) => {
+    const order = Array.from({ length: count }, (_, index) => index);
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    if (count > 1 && order[0] === avoidFirst) [order[0], order[1]] = [order[1], order[0]];
+    return order;
+};
+
+export const createPlaylistPlayer = () => {
+    let order = [];
+    let position = -1;
+    let stepStart = 0;
+    let lastHandTime = null;
+
+    const reset = () => {
+        order = [];
+        position = -1;
+        lastHandTime = null;
+    };
+
+    const buildOrder = (playlist, avoidFirst) => {
+        const count = playlist.steps.length;
+        order = playlist.shuffle
+            ? shuffleIndices(count, avoidFirst)
+            : Array.from({ length: count }, (_, index) => index);
+    };
+
+    const advance = (now, playlist) => {
+        const previous = order[position];
+        position++;
+        if (position >= order.length) {
+            if (!playlist.loop && order.length > 0) {
+                reset();
+                return { done: true };
+            }
+            buildOrder(playlist, previous);
+            position = 0;
+        }
+        stepStart = now;
+        return { index: order[position] };
+    };
+
+    // returns { index } when a step starts, { done: true } at the end of a non-looping list, else null.
+    // a detected hand pauses the show; it resumes with the next step after idleTimeout
+    const update = (now, playlist, handDetected) => {
+        if (playlist.steps.length === 0) return null;
+
+        if (handDetected) {
+            lastHandTime = now;
+            return null;
+        }
+        if (lastHandTime !== null) {
+            if (now - lastHandTime < playlist.idleTimeout * 1000) return null;
+            lastHandTime = null;
+            return advance(now, playlist);
+        }
+
+        // steps were added or removed while playing
+        if (order.length !== playlist.steps.length) {
+            const current = order[position];
+            buildOrder(playlist, current);
+            position = Math.max(-1, Math.min(position, order.length - 1));
+            if (position === -1) return advance(now, playlist);
+        }
+
+        const step = playlist.steps[order[position]];
+        if (now - stepStart >= (step.transition + step.hold) * 1000) return advance(now, playlist);
+        return null;
+    };
+
+    // index of the step on screen (or -1) and whether a hand holds the show
+    const getStatus = () => ({
+        index: position >= 0 ? order[position] : -1,
+        paused: lastHandTime !== null
+    });
+
+    return { update, reset, getStatus };
+};
+
+export const downloadPlaylist = (playlist, fileName = `starwave-playlist-${Date.now()}.json`) => {
+    downloadBlob(new Blob([JSON.stringify(playlist, null, 2)], { type: 'application/json' }), fileName);
+};
+
+const isNonNegative = value => Number.isFinite(value) && value >= 0;
+
+// parse and validate a playlist file, throws with a readable message.
+// isKnownPattern: pattern ids that exist right now (imported models / images may be missing)
+export const parsePlaylist = (text, isKnownPattern = () => true) => {
+    let playlist;
+    try {
+        playlist = JSON.parse(text);
+    } catch {
+        throw new Error('Playlist file is not valid JSON.');
+    }
+
+    if (!playlist || playlist.version !== PLAYLIST_VERSION || !Array.isArray(playlist.steps)) {
+        throw new Error(`Unsupported playlist file (expected version ${PLAYLIST_VERSION}).`);
+    }
+
+    const steps = playlist.steps.map((step, index) => {
+        const valid =
+            typeof step?.pattern === 'string' &&
+            /^#[0-9a-f]{6}$/i.test(step.color) &&
+            isNonNegative(step.hold) &&
+            isNonNegative(step.transition);
+        if (!valid) throw new Error(`Playlist step ${index + 1} is malformed.`);
+        if (!isKnownPattern(step.pattern)) {
+            throw new Error(`Playlist step ${index + 1} uses unknown pattern "${step.pattern}".`);
+        }
+        return { pattern: step.pattern, color: step.color, hold: step.hold, transition: step.transition };
+    });
+
+    return {
+        version: PLAYLIST_VERSION,
+        loop: playlist.loop !== false,
+        shuffle: !!playlist.shuffle,
+        idleTimeout: isNonNegative(playlist.idleTimeout) ? playlist.idleTimeout : DEFAULT_PLAYLIST.idleTimeout,
+        steps
+    };
+};
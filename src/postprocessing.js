@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { RGBShiftShader } from 'three/addons/shaders/RGBShiftShader.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+
+// ---------- post-processing ----------
+//
+// Optional effect chain after the scene render:
+//   scene -> bloom -> afterimage trails -> chromatic aberration -> vignette -> output
+// Every effect has an on/off switch and one intensity; with everything off (or the chain
+// disabled, the default) the scene is rendered directly, at no extra cost.
+
+// intensity ranges for the panel sliders
+export const POST_EFFECTS = [
+    { value: 'bloom', label: 'Bloom', min: 0, max: 3, step: 0.05 },
+    { value: 'afterimage', label: 'Motion Trails', min: 0.5, max: 0.98, step: 0.01 },
+    { value: 'chromatic', label: 'Chromatic Aberration', min: 0, max: 1, step: 0.05 },
+    { value: 'vignette', label: 'Vignette', min: 0, max: 1, step: 0.05 }
+];
+
+// effects preselected once the chain is switched on
+export const DEFAULT_POST_EFFECTS = {
+    bloom: { enabled: true, intensity: 0.8 },
+    afterimage: { enabled: false, intensity: 0.85 },  // share of the last frame kept
+    chromatic: { enabled: false, intensity: 0.3 },
+    vignette: { enabled: true, intensity: 0.5 }
+};
+
+const BLOOM_RADIUS = 0.4;
+const BLOOM_THRESHOLD = 0;
+const CHROMATIC_MAX_SHIFT = 0.01;  // share of the screen width at full intensity
+
+const SOFTWARE_RENDERERS = /swiftshader|llvmpipe|software|basic render/i;
+
+// few cores, little memory or a software GPU: bloom alone would halve the frame rate
+export const isLowEndDevice = renderer => {
+    if (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 2) return true;
+    if (navigator.deviceMemory && navigator.deviceMemory <= 2) return true;
+
+    const gl = renderer.getContext();
+    const info = gl.getExtension('WEBGL_debug_renderer_info');
+    const gpu = info ? gl.getParameter(info.UNMASKED_RENDERER_WEBGL) : '';
+    return SOFTWARE_RENDERERS.test(gpu);
+};
+
+// the composer and its render targets are only built the first time an effect is switched on
+export const createPostProcessing = ({ renderer, scene, camera }) => {
+    let composer = null;
+    let passes = null;
+    let active = false;
+
+    const build = () => {
+        composer = new EffectComposer(renderer);
+        const size = renderer.getSize(new THREE.Vector2());
+        passes = {
+            bloom: new UnrealBloomPass(size, 1, BLOOM_RADIUS, BLOOM_THRESHOLD),
+            afterimage: new AfterimagePass(),
+            chromatic: new ShaderPass(RGBShiftShader),
+            vignette: new ShaderPass(VignetteShader)
+        };
+
+        composer.addPass(new RenderPass(scene, camera));
+        POST_EFFECTS.forEach(({ value }) => composer.addPass(passes[value]));
+        composer.addPass(new OutputPass());
+    };
+
+    // enabled: the chain as a whole, effects: { [effect]: { enabled, intensity } }
+    const setOptions = (enabled, effects) => {
+        const { bloom, afterimage, chromatic, vignette } = { ...DEFAULT_POST_EFFECTS, ...effects };
+        active = enabled && [bloom, afterimage, chromatic, vignette].some(effect => effect.enabled);
+        if (!active && !composer) return;
+        if (!composer) build();
+
+        passes.bloom.enabled = bloom.enabled;
+        passes.bloom.strength = bloom.intensity;
+        passes.afterimage.enabled = afterimage.enabled;
+        passes.afterimage.uniforms.damp.value = afterimage.intensity;
+        passes.chromatic.enabled = chromatic.enabled;
+        passes.chromatic.uniforms.amount.value = chromatic.intensity * CHROMATIC_MAX_SHIFT;
+        passes.vignette.enabled = vignette.enabled;
+        passes.vignette.uniforms.darkness.value = vignette.intensity * 2;
+    };
+
+    const render = () => {
+        if (active) composer.render();
+        else renderer.render(scene, camera);
+    };
+
+    // one frame into target (e.g. a screenshot) instead of the canvas, at the target's size.
+    // the effect buffers are resized for it and back, so motion trails start over afterwards.
+    const renderToTarget = target => {
+        if (!active) {
+            renderer.setRenderTarget(target);
+            renderer.render(scene, camera);
+            renderer.setRenderTarget(null);
+            return;
+        }
+
+        const pixelRatio = renderer.getPixelRatio();
+        const size = renderer.getSize(new THREE.Vector2());
+        composer.setPixelRatio(1);
+        composer.setSize(target.width, target.height);
+        composer.renderToScreen = false;
+        composer.render();
+        // the chain's output sits in its read buffer after the last swap
+        composer.copyPass.render(renderer, target, composer.readBuffer);
+        renderer.setRenderTarget(null);
+
+        composer.renderToScreen = true;
+        composer.setPixelRatio(pixelRatio);
+        composer.setSize(size.x, size.y);
+    };
+
+    // sizes in CSS pixels, like the renderer; a composer built later picks them up from it
+    const setSize = (width, height) => {
+        renderer.setSize(width, height);
+        composer?.setSize(width, height);
+    };
+
+    const setPixelRatio = ratio => {
+        renderer.setPixelRatio(ratio);
+        composer?.setPixelRatio(ratio);
+    };
+
+    const dispose = () => {
+        if (!composer) return;
+        Object.values(passes).forEach(pass => pass.dispose());
+        composer.dispose();
+    };
+
+    return { setOptions, render, renderToTarget, setSize, setPixelRatio, dispose };
+};
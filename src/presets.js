@@ -0,0 +1,209 @@
+import { downloadBlob } from './utils.js';
+import { GESTURES, GESTURE_ACTIONS } from './gestures.js';
+import { COLOR_MODES, GRADIENT_AXES, PALETTES, DEFAULT_COLOR_OPTIONS } from './colors.js';
+import { PARTICLE_COUNT_OPTIONS } from './quality.js';
+import { TRANSITION_STYLES, TRANSITION_EASINGS, STAGGER_MODES, DEFAULT_TRANSITION } from './transitions.js';
+import { DEFAULT_TEXT_OPTIONS } from './text.js';
+import { isValidStroke, normalizeStroke } from './drawing.js';
+
+// ---------- scene presets ----------
+//
+// A preset is the whole scene as plain JSON, saved as a file or packed into the URL hash:
+//   { kind: 'starwave-preset', version, pattern, particleColor, colorOptions, particleCount,
+//     transition, textOptions, strokes, camera: { position }, rotation: { x, y, z },
+//     gestures: { enabled, bindings } }
+
+export const PRESET_KIND = 'starwave-preset';
+export const PRESET_VERSION = 1;
+
+const HASH_PREFIX = '#preset=';
+
+// 3 decimals: 0.3 px on the 300 px draw canvas, far below what a stroke shows
+const round = value => Math.round(value * 1000) / 1000;
+
+export const createPreset = ({
+    pattern,
+    particleColor,
+    colorOptions,
+    particleCount,
+    transition,
+    textOptions,
+    strokes,
+    camera,
+    rotation,
+    gestures
+}) => ({
+    kind: PRESET_KIND,
+    version: PRESET_VERSION,
+    pattern,
+    particleColor,
+    colorOptions,
+    particleCount,
+    transition,
+    textOptions,
+    strokes: strokes.map(normalizeStroke).map(stroke => ({
+        ...stroke,
+        points: stroke.points.map(point => point.map(round))
+    })),
+    camera: { position: camera.position.map(round) },
+    rotation: { x: round(rotation.x), y: round(rotation.y), z: round(rotation.z) },
+    gestures
+});
+
+export const downloadPreset = (preset, fileName = `starwave-preset-${Date.now()}.json`) => {
+    downloadBlob(new Blob([JSON.stringify(preset)], { type: 'application/json' }), fileName);
+};
+
+// ---------- URL hash ----------
+
+// deflate + base64url keeps drawings short enough for a link
+const compress = async text => {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decompress = async encoded => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+};
+
+export const encodePresetHash = async preset => `${HASH_PREFIX}${await compress(JSON.stringify(preset))}`;
+
+// preset JSON text from a location hash, or null when the hash holds no preset
+export const decodePresetHash = async hash => {
+    if (!hash.startsWith(HASH_PREFIX)) return null;
+    try {
+        return await decompress(hash.slice(HASH_PREFIX.length));
+    } catch {
+        throw new Error('The preset link is damaged (could not decode it).');
+    }
+};
+
+// ---------- validation ----------
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+const hasValue = (options, value) => options.some(option => option.value === value);
+
+const check = (condition, message) => {
+    if (!condition) throw new Error(`Invalid preset: ${message}.`);
+};
+
+const parseColorOptions = options => {
+    if (options === undefined) return DEFAULT_COLOR_OPTIONS;
+    check(isObject(options), 'color options must be an object');
+    const merged = { ...DEFAULT_COLOR_OPTIONS, ...options };
+    check(hasValue(COLOR_MODES, merged.mode), `unknown color mode "${merged.mode}"`);
+    check(hasValue(GRADIENT_AXES, merged.axis), `unknown gradient axis "${merged.axis}"`);
+    check(merged.palette in PALETTES, `unknown palette "${merged.palette}"`);
+    check([2, 3].includes(merged.stopCount), 'gradient needs 2 or 3 stops');
+    check(
+        Array.isArray(merged.gradientStops) && merged.gradientStops.length === 3 && merged.gradientStops.every(isColor),
+        'gradient stops must be 3 colors'
+    );
+    check(isColor(merged.coreColor) && isColor(merged.edgeColor), 'core glow colors must be hex colors');
+    return merged;
+};
+
+const parseTransition = transition => {
+    if (transition === undefined) return DEFAULT_TRANSITION;
+    check(isObject(transition), 'transition must be an object');
+    const merged = { ...DEFAULT_TRANSITION, ...transition };
+    check(hasValue(TRANSITION_STYLES, merged.style), `unknown transition style "${merged.style}"`);
+    check(hasValue(TRANSITION_EASINGS, merged.easing), `unknown easing "${merged.easing}"`);
+    check(hasValue(STAGGER_MODES, merged.stagger), `unknown stagger mode "${merged.stagger}"`);
+    check(
+        [merged.duration, merged.staggerAmount, merged.strength].every(value => Number.isFinite(value) && value >= 0),
+        'transition timings must be non-negative numbers'
+    );
+    return merged;
+};
+
+const parseTextOptions = options => {
+    if (options === undefined) return DEFAULT_TEXT_OPTIONS;
+    check(isObject(options), 'text options must be an object');
+    const merged = { ...DEFAULT_TEXT_OPTIONS, ...options };
+    check(typeof merged.text === 'string' && typeof merged.font === 'string', 'text and font must be strings');
+    check(Number.isFinite(merged.weight) && Number.isFinite(merged.depth), 'text weight and depth must be numbers');
+    return merged;
+};
+
+const parseStrokes = strokes => {
+    if (strokes === undefined) return [];
+    check(Array.isArray(strokes), 'strokes must be a list');
+    strokes.forEach((stroke, index) => {
+        check(isValidStroke(stroke), `stroke ${index + 1} is malformed`);
+    });
+    return strokes.map(normalizeStroke);
+};
+
+const parseGestures = gestures => {
+    if (gestures === undefined) return null;
+    check(isObject(gestures) && isObject(gestures.bindings), 'gesture settings are malformed');
+    Object.entries(gestures.bindings).forEach(([gesture, action]) => {
+        check(hasValue(GESTURES, gesture), `unknown gesture "${gesture}"`);
+        check(hasValue(GESTURE_ACTIONS, action), `unknown gesture action "${action}"`);
+    });
+    return { enabled: gestures.enabled !== false, bindings: gestures.bindings };
+};
+
+// parse and validate preset JSON, throws with a readable message.
+// isKnownPattern: pattern ids that exist right now (imported models / images may be missing)
+export const parsePreset = (text, isKnownPattern = () => true) => {
+    let preset;
+    try {
+        preset = JSON.parse(text);
+    } catch {
+        throw new Error('Preset file is not valid JSON.');
+    }
+
+    check(isObject(preset) && preset.kind === PRESET_KIND, 'this is not a StarWave preset');
+    if (preset.version !== PRESET_VERSION) {
+        throw new Error(
+            Number.isInteger(preset.version) && preset.version > PRESET_VERSION
+                ? `This preset was made with a newer StarWave (version ${preset.version}), please update.`
+                : `Preset version ${preset.version} is not supported (expected version ${PRESET_VERSION}).`
+        );
+    }
+
+    check(typeof preset.pattern === 'string', 'pattern is missing');
+    if (!isKnownPattern(preset.pattern)) {
+        throw new Error(`This preset uses the pattern "${preset.pattern}", which is not loaded. Import it first.`);
+    }
+    check(isColor(preset.particleColor), 'particle color must be a hex color like #f9c8f5');
+    check(
+        PARTICLE_COUNT_OPTIONS.includes(preset.particleCount),
+        `particle count must be one of ${PARTICLE_COUNT_OPTIONS.join(', ')}`
+    );
+
+    const camera = preset.camera?.position;
+    check(
+        camera === undefined || (Array.isArray(camera) && camera.length === 3 && camera.every(Number.isFinite)),
+        'camera position must be three numbers'
+    );
+    const rotation = preset.rotation;
+    check(
+        rotation === undefined || (isObject(rotation) && ['x', 'y', 'z'].every(axis => Number.isFinite(rotation[axis]))),
+        'rotation must have numeric x, y and z'
+    );
+
+    return {
+        pattern: preset.pattern,
+        particleColor: preset.particleColor,
+        colorOptions: parseColorOptions(preset.colorOptions),
+        particleCount: preset.particleCount,
+        transition: parseTransition(preset.transition),
+        textOptions: parseTextOptions(preset.textOptions),
+        strokes: parseStrokes(preset.strokes),
+        camera: camera ? { position: camera } : null,
+        rotation: rotation ?? null,
+        gestures: parseGestures(preset.gestures)
+    };
+};
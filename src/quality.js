@@ -0,0 +1,75 @@
+// ---------- adaptive quality ----------
+
+export const PARTICLE_COUNT_OPTIONS = [5000, 15000, 30000, 60000, 100000, 250000, 500000];
+
+export const TARGET_FPS_OPTIONS = [30, 45, 60];
+
+// pixel ratio steps tried before giving up particles
+export const PIXEL_RATIO_STEP = 0.5;
+export const MIN_PIXEL_RATIO = 0.75;
+
+// watches frame times and decides when to step quality up or down.
+// sample() returns 'down', 'up' or null; applying the step is left to the caller.
+export const createQualityController = ({
+    targetFps = 60,
+    windowMs = 2000,        // frames are averaged over this window
+    upgradeWindows = 3,     // consecutive good windows needed before stepping up
+    holdAfterDowngrade = 10000  // ms without upgrades after a downgrade, avoids ping-pong
+} = {}) => {
+    let windowStart = null;
+    let frames = 0;
+    let goodWindows = 0;
+    let holdUntil = 0;
+    let lastFps = null;
+
+    const reset = () => {
+        windowStart = null;
+        frames = 0;
+        goodWindows = 0;
+    };
+
+    const sample = now => {
+        if (windowStart === null) {
+            windowStart = now;
+            frames = 0;
+            return null;
+        }
+
+        frames++;
+        const elapsed = now - windowStart;
+        if (elapsed < windowMs) return null;
+
+        // a long stall (hidden tab, debugger) says nothing about rendering cost
+        if (elapsed > windowMs * 2) {
+            reset();
+            return null;
+        }
+
+        lastFps = (frames * 1000) / elapsed;
+        windowStart = now;
+        frames = 0;
+
+        // rendering is capped at the display refresh, so "good" means close to target
+        if (lastFps < targetFps * 0.9) {
+            goodWindows = 0;
+            holdUntil = now + holdAfterDowngrade;
+            return 'down';
+        }
+
+        if (lastFps >= targetFps * 0.97 && now >= holdUntil) {
+            goodWindows++;
+            if (goodWindows >= upgradeWindows) {
+                goodWindows = 0;
+                return 'up';
+            }
+        } else {
+            goodWindows = 0;
+        }
+
+        return null;
+    };
+
+    const getFps = () => lastFps;
+
+    return { sample, reset, getFps };
+};
@@ -0,0 +1,94 @@
+import { downloadBlob } from './utils.js';
+
+// ---------- landmark session recording ----------
+//
+// A session is the raw tracking stream with timestamps, replayable through
+// createScriptedBackend (tracking.js):
+//   { version, createdAt, frames: [{ time (ms), multiHandLandmarks, multiHandedness }] }
+
+export const SESSION_VERSION = 1;
+
+// round to keep files small, 1e-5 is far below tracking noise
+const round = value => Math.round(value * 1e5) / 1e5;
+
+const copyLandmarks = multiHandLandmarks =>
+    (multiHandLandmarks || []).map(landmarks =>
+        landmarks.map(({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) }))
+    );
+
+const copyHandedness = multiHandedness =>
+    (multiHandedness || []).map(({ label, score }) => ({ label, score: round(score ?? 1) }));
+
+export const createSessionRecorder = () => {
+    let frames = [];
+    let startTime = null;
+
+    const isRecording = () => startTime !== null;
+
+    const start = () => {
+        frames = [];
+        startTime = performance.now();
+    };
+
+    // only landmarks are kept, the camera image is dropped
+    const push = results => {
+        if (!isRecording()) return;
+        frames.push({
+            time: Math.round(performance.now() - startTime),
+            multiHandLandmarks: copyLandmarks(results.multiHandLandmarks),
+            multiHandedness: copyHandedness(results.multiHandedness)
+        });
+    };
+
+    const stop = () => {
+        startTime = null;
+        return {
+            version: SESSION_VERSION,
+            createdAt: new Date().toISOString(),
+            frames
+        };
+    };
+
+    const getFrameCount = () => frames.length;
+
+    return { start, push, stop, isRecording, getFrameCount };
+};
+
+export const downloadSession = (session, fileName = `starwave-session-${Date.now()}.json`) => {
+    downloadBlob(new Blob([JSON.stringify(session)], { type: 'application/json' }), fileName);
+};
+
+const isLandmark = point =>
+    point && Number.isFinite(point.x) && Number.isFinite(point.y) && Number.isFinite(point.z ?? 0);
+
+// parse and validate a session file, throws with a readable message
+export const parseSession = text => {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch {
+        throw new Error('Session file is not valid JSON.');
+    }
+
+    if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.frames)) {
+        throw new Error(`Unsupported session file (expected version ${SESSION_VERSION}).`);
+    }
+
+    const frames = session.frames.map((frame, index) => {
+        const hands = frame?.multiHandLandmarks ?? [];
+        const valid =
+            Number.isFinite(frame?.time) &&
+            Array.isArray(hands) &&
+            hands.every(landmarks => Array.isArray(landmarks) && landmarks.length === 21 && landmarks.every(isLandmark));
+        if (!valid) throw new Error(`Session frame ${index} is malformed.`);
+
+        return {
+            time: frame.time,
+            multiHandLandmarks: hands,
+            multiHandedness: Array.isArray(frame.multiHandedness) ? frame.multiHandedness : []
+        };
+    });
+
+    frames.sort((a, b) => a.time - b.time);
+    return { ...session, frames };
+};
@@ -0,0 +1,48 @@
+import { isValidStroke, normalizeStroke } from './drawing.js';
+
+// ---------- last-used settings ----------
+//
+// Kept in localStorage so a reload comes back to the same scene:
+//   { pattern, particleColor, showControls, strokes }
+
+const SETTINGS_KEY = 'starwave-settings';
+
+export const DEFAULT_SETTINGS = {
+    pattern: 'heart',
+    particleColor: '#f9c8f5',
+    showControls: true,
+    strokes: []
+};
+
+// saved settings, anything missing or invalid falls back to its default.
+// isKnownPattern: imported models / images are not kept, so their ids may be gone
+export const loadSettings = (isKnownPattern = () => true) => {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    } catch {
+        saved = null;
+    }
+    if (!saved || typeof saved !== 'object') return DEFAULT_SETTINGS;
+
+    return {
+        pattern: typeof saved.pattern === 'string' && isKnownPattern(saved.pattern)
+            ? saved.pattern
+            : DEFAULT_SETTINGS.pattern,
+        particleColor: /^#[0-9a-f]{6}$/i.test(saved.particleColor)
+            ? saved.particleColor
+            : DEFAULT_SETTINGS.particleColor,
+        showControls: typeof saved.showControls === 'boolean' ? saved.showControls : DEFAULT_SETTINGS.showControls,
+        strokes: Array.isArray(saved.strokes) && saved.strokes.every(isValidStroke)
+            ? saved.strokes.map(normalizeStroke)
+            : DEFAULT_SETTINGS.strokes
+    };
+};
+
+export const saveSettings = settings => {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch {
+        // storage blocked or full: the settings just aren't kept
+    }
+};
@@ -0,0 +1,112 @@
+import { registerPattern } from './patterns.js';
+import { samplePixels } from './images.js';
+
+// ---------- text pattern ----------
+
+export const TEXT_FONTS = [
+    { value: 'sans-serif', label: 'Sans' },
+    { value: 'serif', label: 'Serif' },
+    { value: 'monospace', label: 'Mono' },
+    { value: 'Georgia, serif', label: 'Georgia' },
+    { value: 'Impact, sans-serif', label: 'Impact' },
+    { value: '"Arial Black", sans-serif', label: 'Arial Black' }
+];
+
+export const TEXT_WEIGHTS = [
+    { value: 300, label: 'Light' },
+    { value: 400, label: 'Regular' },
+    { value: 700, label: 'Bold' },
+    { value: 900, label: 'Black' }
+];
+
+export const DEFAULT_TEXT_OPTIONS = {
+    text: 'StarWave',
+    font: 'sans-serif',
+    weight: 700,
+    depth: 0.15   // extrusion thickness in pattern units (before scale)
+};
+
+const FONT_SIZE = 120;
+const LINE_HEIGHT = 1.2;
+const PADDING = 16;
+
+// draw the text white on black offscreen, one canvas line per text line
+const rasterizeText = ({ text, font, weight }) => {
+    const lines = text.split('\n');
+    const fontStyle = `${weight} ${FONT_SIZE}px ${font}`;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.font = fontStyle;
+    const textWidth = Math.max(1, ...lines.map(line => ctx.measureText(line).width));
+
+    canvas.width = Math.ceil(textWidth) + PADDING * 2;
+    canvas.height = Math.ceil(lines.length * FONT_SIZE * LINE_HEIGHT) + PADDING * 2;
+
+    // resizing the canvas resets the context state
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#fff';
+    ctx.font = fontStyle;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, index) => {
+        ctx.fillText(
+            line,
+            canvas.width / 2,
+            PADDING + (index + 0.5) * FONT_SIZE * LINE_HEIGHT
+        );
+    });
+
+    return {
+        width: canvas.width,
+        height: canvas.height,
+        pixels: ctx.getImageData(0, 0, canvas.width, canvas.height).data
+    };
+};
+
+// samples are cached per text options and particle count
+let cache = null;
+
+const getSamples = (options, count, rng) => {
+    const key = JSON.stringify([options.text, options.font, options.weight, options.depth, count]);
+    if (cache?.key === key) return cache.data;
+
+    const data = options.text.trim()
+        ? samplePixels(rasterizeText(options), count, rng, { threshold: 0.5 })
+        : null;
+
+    // flat rasterized glyphs: give them a solid extrusion instead of image noise
+    if (data) {
+        for (let i = 0; i < count; i++) {
+            data.positions[i * 3 + 2] = (rng() - 0.5) * options.depth;
+        }
+    }
+
+    cache = { key, data };
+    return data;
+};
+
+// context.textOptions: current text settings from the control panel
+registerPattern({
+    id: 'text',
+    label: 'Text',
+    icon: '🔤',
+    scale: 4,
+    generate: (index, count, rng, { scale, textOptions = DEFAULT_TEXT_OPTIONS }) => {
+        const data = getSamples(textOptions, count, rng);
+        // empty text: small cloud at the center
+        if (!data) {
+            return {
+                x: (rng() - 0.5) * 0.2,
+                y: (rng() - 0.5) * 0.2,
+                z: (rng() - 0.5) * 0.1
+            };
+        }
+        return {
+            x: data.positions[index * 3] * scale,
+            y: data.positions[index * 3 + 1] * scale,
+            z: data.positions[index * 3 + 2] * scale
+        };
+    }
+});
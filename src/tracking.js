@@ -0,0 +1,186 @@
+// ---------- tracking backends ----------
+//
+// ParticleGestureSystem never talks to a detector directly, only to a backend:
+//
+//   const backend = createBackend({ video });
+//   await backend.start(results => { ... });
+//   backend.stop();
+//
+// `results` uses the MediaPipe Hands shape so every backend is interchangeable:
+//   { multiHandLandmarks: [[{ x, y, z } * 21], ...], multiHandedness: [{ label, score }, ...] }
+// with x / y normalized to [0, 1] in (mirrored) image space.
+
+// MediaPipe assets are copied out of node_modules by vite.config.js, no CDN involved
+const MEDIAPIPE_HANDS_PATH = `${import.meta.env.BASE_URL}mediapipe/hands/`;
+
+export const DEFAULT_HANDS_OPTIONS = {
+    maxNumHands: 2,
+    modelComplexity: 1,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5,
+    selfieMode: true
+};
+
+// load script once. isLoaded tells whether it already ran. A failed script tag is removed
+// so a retry loads it again, so an existing tag is one still loading (quick stop / start):
+// wait for it as well
+const loadScript = (src, id, isLoaded) =>
+    new Promise((resolve, reject) => {
+        if (isLoaded()) {
+            resolve();
+            return;
+        }
+        const existing = document.getElementById(id);
+        const script = existing ?? document.createElement('script');
+        const fail = message => {
+            script.remove();
+            reject(new Error(message));
+        };
+        script.addEventListener(
+            'load',
+            () => (isLoaded() ? resolve() : fail(`${src} loaded but did not initialize`)),
+            { once: true }
+        );
+        script.addEventListener('error', () => fail(`Failed to load ${src}`), { once: true });
+        if (existing) return;
+        script.id = id;
+        script.src = src;
+        document.body.appendChild(script);
+    });
+
+// webcam + MediaPipe Hands, served from our own origin
+export const createMediaPipeBackend = ({ video, width = 640, height = 480, options = {} }) => {
+    let hands = null;
+    let stream = null;
+    let frameId = null;
+    let stopped = false;
+
+    const stop = () => {
+        stopped = true;
+        if (frameId) cancelAnimationFrame(frameId);
+        frameId = null;
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        stream = null;
+        if (video) video.srcObject = null;
+        if (hands) hands.close();
+        hands = null;
+    };
+
+    const start = async onResults => {
+        if (!video) throw new Error('MediaPipe backend needs a video element');
+
+        await loadScript(`${MEDIAPIPE_HANDS_PATH}hands.js`, 'mediapipe-hands', () => !!window.Hands);
+        if (stopped) return;
+
+        hands = new window.Hands({
+            locateFile: file => `${MEDIAPIPE_HANDS_PATH}${file}`
+        });
+        hands.setOptions({ ...DEFAULT_HANDS_OPTIONS, ...options });
+        hands.onResults(onResults);
+
+        const mediaStream = await navigator.mediaDevices.getUserMedia({
+            video: { width, height, facingMode: 'user' }
+        });
+        // stop() may have run while the permission prompt was open
+        if (stopped) {
+            mediaStream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        stream = mediaStream;
+
+        video.srcObject = stream;
+        await video.play();
+
+        const processFrame = async () => {
+            if (stopped || !hands) return;
+            if (video.readyState >= 2) {
+                try {
+                    await hands.send({ image: video });
+                } catch (err) {
+                    // a send still in flight when stop() closes the model is expected to fail
+                    if (!stopped) console.error('Hand tracking frame failed:', err);
+                }
+            }
+            if (!stopped) frameId = requestAnimationFrame(processFrame);
+        };
+        processFrame();
+    };
+
+    return { start, stop };
+};
+
+// replays a fixed list of timestamped frames, no camera or model needed
+// frames: [{ time (ms from start), multiHandLandmarks, multiHandedness }]
+// besides start / stop it exposes playback controls for recorded sessions
+export const createScriptedBackend = ({ frames = [], loop = true, speed = 1, onEnd } = {}) => {
+    const duration = frames.length > 0 ? frames[frames.length - 1].time : 0;
+
+    let frameId = null;
+    let stopped = false;
+    let playing = true;
+    let elapsed = 0;        // playback position in ms (session time)
+    let lastTick = null;
+    let nextIndex = 0;
+
+    const stop = () => {
+        stopped = true;
+        if (frameId) cancelAnimationFrame(frameId);
+        frameId = null;
+    };
+
+    const rewind = () => {
+        elapsed = 0;
+        nextIndex = 0;
+    };
+
+    const start = async onResults => {
+        if (frames.length === 0) return;
+
+        const tick = () => {
+            if (stopped) return;
+
+            const now = performance.now();
+            if (playing && lastTick !== null) elapsed += (now - lastTick) * speed;
+            lastTick = now;
+
+            while (nextIndex < frames.length && frames[nextIndex].time <= elapsed) {
+                const { multiHandLandmarks = [], multiHandedness = [] } = frames[nextIndex];
+                onResults({ multiHandLandmarks, multiHandedness });
+                nextIndex++;
+            }
+
+            if (playing && nextIndex >= frames.length) {
+                // a zero-length session has nothing to loop over
+                if (loop && duration > 0) {
+                    rewind();
+                } else {
+                    playing = false;
+                    onEnd?.();
+                }
+            }
+
+            frameId = requestAnimationFrame(tick);
+        };
+        tick();
+    };
+
+    const play = () => {
+        // playing again after the end starts over
+        if (nextIndex >= frames.length) rewind();
+        playing = true;
+    };
+
+    const pause = () => {
+        playing = false;
+    };
+
+    const setLoop = value => {
+        loop = value;
+    };
+
+    const setSpeed = value => {
+        speed = value;
+    };
+
+    return { start, stop, play, pause, setLoop, setSpeed };
+};
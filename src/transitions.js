@@ -0,0 +1,218 @@
+// ---------- pattern transitions ----------
+//
+// A transition moves every particle from `position` (start) to `a_target` over a fixed
+// duration. The vertex shader evaluates it per particle (transitionShaderChunk); the same
+// math is mirrored in JS so an interrupted transition can be frozen into new start positions.
+//
+// Per particle:  t = own progress (0..1, after its stagger delay), e = ease(t)
+//   direct    mix(start, target, e)
+//   explode   pushed outward from the center, peaking halfway
+//   vortex    swirled around the Y axis, peaking halfway
+//   dissolve  scattered along a random direction, peaking halfway
+
+export const TRANSITION_STYLES = [
+    { value: 'direct', label: 'Direct' },
+    { value: 'explode', label: 'Explode' },
+    { value: 'vortex', label: 'Vortex' },
+    { value: 'dissolve', label: 'Dissolve' }
+];
+
+export const TRANSITION_EASINGS = [
+    { value: 'easeOut', label: 'Ease Out' },
+    { value: 'linear', label: 'Linear' },
+    { value: 'easeInOut', label: 'Ease In-Out' },
+    { value: 'backOut', label: 'Overshoot' }
+];
+
+export const STAGGER_MODES = [
+    { value: 'none', label: 'Together' },
+    { value: 'index', label: 'By Index' },
+    { value: 'distance', label: 'By Distance' }
+];
+
+export const DEFAULT_TRANSITION = {
+    style: 'direct',
+    easing: 'easeOut',
+    duration: 1.2,       // seconds until every particle has arrived
+    stagger: 'none',
+    staggerAmount: 0.5,  // share of the duration spent waiting for the last particle
+    strength: 1          // explode distance / vortex turns / dissolve spread
+};
+
+const indexOf = (options, value) => Math.max(0, options.findIndex(option => option.value === value));
+
+// numeric form used for both the uniforms and the JS mirror
+export const resolveTransition = transition => {
+    const { style, easing, duration, stagger, staggerAmount, strength } = { ...DEFAULT_TRANSITION, ...transition };
+    return {
+        style: indexOf(TRANSITION_STYLES, style),
+        easing: indexOf(TRANSITION_EASINGS, easing),
+        stagger: indexOf(STAGGER_MODES, stagger),
+        staggerAmount: stagger === 'none' ? 0 : Math.min(0.9, Math.max(0, staggerAmount)),
+        strength,
+        duration: Math.max(0.01, duration)
+    };
+};
+
+// uniform values for a resolved transition, `time` in seconds since it started
+export const getTransitionUniforms = (resolved, time, maxRadius) => ({
+    u_morphTime: time,
+    u_morphDuration: resolved.duration,
+    u_transitionStyle: resolved.style,
+    u_easing: resolved.easing,
+    u_staggerMode: resolved.stagger,
+    u_staggerAmount: resolved.staggerAmount,
+    u_transitionStrength: resolved.strength,
+    u_maxRadius: maxRadius
+});
+
+export const transitionShaderChunk = `
+  uniform float u_morphTime;
+  uniform float u_morphDuration;
+  uniform int u_transitionStyle;
+  uniform int u_easing;
+  uniform int u_staggerMode;
+  uniform float u_staggerAmount;
+  uniform float u_transitionStrength;
+  uniform float u_maxRadius;
+
+  float ease(float t) {
+    if (u_easing == 1) return t;
+    if (u_easing == 2) return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(2.0 - 2.0 * t, 3.0) / 2.0;
+    if (u_easing == 3) {
+      float x = t - 1.0;
+      return 1.0 + 2.70158 * x * x * x + 1.70158 * x * x;
+    }
+    return (1.0 - exp(-5.0 * t)) / (1.0 - exp(-5.0));
+  }
+
+  vec3 seedDirection(float seed) {
+    float theta = seed * 43.982;
+    float z = fract(seed * 13.37) * 2.0 - 1.0;
+    float r = sqrt(1.0 - z * z);
+    return vec3(r * cos(theta), z, r * sin(theta));
+  }
+
+  vec3 transitionPosition(vec3 start, vec3 target, float seed, float order) {
+    float delay = 0.0;
+    if (u_staggerMode == 1) delay = order;
+    else if (u_staggerMode == 2) delay = clamp(length(target) / max(u_maxRadius, 0.001), 0.0, 1.0);
+    float span = max(u_morphDuration * (1.0 - u_staggerAmount), 0.001);
+    float t = clamp((u_morphTime - delay * u_staggerAmount * u_morphDuration) / span, 0.0, 1.0);
+
+    vec3 p = mix(start, target, ease(t));
+    float bump = sin(3.14159265 * t);
+
+    if (u_transitionStyle == 1) {
+      vec3 outward = length(p) > 0.001 ? normalize(p) : seedDirection(seed);
+      p += (outward * 3.0 + seedDirection(seed)) * bump * u_transitionStrength;
+    } else if (u_transitionStyle == 2) {
+      float angle = bump * 6.2832 * u_transitionStrength * (0.5 + seed);
+      float c = cos(angle);
+      float s = sin(angle);
+      p = vec3(c * p.x + s * p.z, p.y, -s * p.x + c * p.z);
+    } else if (u_transitionStyle == 3) {
+      p += seedDirection(seed) * bump * u_transitionStrength * 1.5 * (0.3 + seed);
+    }
+    return p;
+  }
+`;
+
+// ---------- JS mirror ----------
+
+const ease = (easing, t) => {
+    switch (easing) {
+        case 1:
+            return t;
+        case 2:
+            return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2;
+        case 3: {
+            const x = t - 1;
+            return 1 + 2.70158 * x * x * x + 1.70158 * x * x;
+        }
+        default:
+            return (1 - Math.exp(-5 * t)) / (1 - Math.exp(-5));
+    }
+};
+
+const fract = value => value - Math.floor(value);
+
+const seedDirection = (seed, out) => {
+    const theta = seed * 43.982;
+    const z = fract(seed * 13.37) * 2 - 1;
+    const r = Math.sqrt(1 - z * z);
+    out[0] = r * Math.cos(theta);
+    out[1] = z;
+    out[2] = r * Math.sin(theta);
+    return out;
+};
+
+// where every particle is `time` seconds into a transition; out may be `starts` itself
+export const writeTransitionPositions = (resolved, time, maxRadius, starts, targets, seeds, out) => {
+    const { style, easing, stagger, staggerAmount, strength, duration } = resolved;
+    const count = seeds.length;
+    const span = Math.max(duration * (1 - staggerAmount), 0.001);
+    const direction = [0, 0, 0];
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+        const tx = targets[i3];
+        const ty = targets[i3 + 1];
+        const tz = targets[i3 + 2];
+        const seed = seeds[i];
+
+        let delay = 0;
+        if (stagger === 1) delay = i / count;
+        else if (stagger === 2) delay = Math.min(1, Math.hypot(tx, ty, tz) / Math.max(maxRadius, 0.001));
+        const t = Math.min(1, Math.max(0, (time - delay * staggerAmount * duration) / span));
+
+        const e = ease(easing, t);
+        let x = starts[i3] + (tx - starts[i3]) * e;
+        let y = starts[i3 + 1] + (ty - starts[i3 + 1]) * e;
+        let z = starts[i3 + 2] + (tz - starts[i3 + 2]) * e;
+        const bump = Math.sin(Math.PI * t);
+
+        if (style === 1) {
+            const length = Math.hypot(x, y, z);
+            seedDirection(seed, direction);
+            const ox = length > 0.001 ? x / length : direction[0];
+            const oy = length > 0.001 ? y / length : direction[1];
+            const oz = length > 0.001 ? z / length : direction[2];
+            const push = bump * strength;
+            x += (ox * 3 + direction[0]) * push;
+            y += (oy * 3 + direction[1]) * push;
+            z += (oz * 3 + direction[2]) * push;
+        } else if (style === 2) {
+            const angle = bump * 6.2832 * strength * (0.5 + seed);
+            const c = Math.cos(angle);
+            const s = Math.sin(angle);
+            const rx = c * x + s * z;
+            z = -s * x + c * z;
+            x = rx;
+        } else if (style === 3) {
+            seedDirection(seed, direction);
+            const spread = bump * strength * 1.5 * (0.3 + seed);
+            x += direction[0] * spread;
+            y += direction[1] * spread;
+            z += direction[2] * spread;
+        }
+
+        out[i3] = x;
+        out[i3 + 1] = y;
+        out[i3 + 2] = z;
+    }
+    return out;
+};
+
+// eased progress of the transition as a whole (ignoring stagger), for things that follow it
+export const getOverallProgress = (resolved, time) =>
+    ease(resolved.easing, Math.min(1, Math.max(0, time / resolved.duration)));
+
+// furthest target from the center, normalizes the distance stagger
+export const getMaxRadius = targets => {
+    let max = 0;
+    for (let i = 0; i < targets.length; i += 3) {
+        max = Math.max(max, Math.hypot(targets[i], targets[i + 1], targets[i + 2]));
+    }
+    return max;
+};
@@ -0,0 +1,39 @@
+// ---------- shared helpers ----------
+
+// simple linear interpolation
+export const lerp = (a, b, t) => a * (1 - t) + b * t;
+
+// lower-case extension of a file name, without the dot
+export const getFileExtension = name => name.split('.').pop().toLowerCase();
+
+// save a blob through a temporary download link
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// pick indices proportionally to weights: returns (random in [0, 1)) => index
+export const createWeightedPicker = weights => {
+    const cumulative = new Float64Array(weights.length);
+    let total = 0;
+    for (let i = 0; i < weights.length; i++) {
+        total += weights[i];
+        cumulative[i] = total;
+    }
+
+    return random => {
+        const target = random * total;
+        let low = 0;
+        let high = cumulative.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (cumulative[mid] <= target) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    };
+};
@@ -1,9 +1,52 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// MediaPipe Hands ships a global script plus wasm / model files it fetches at runtime.
+// Serve them from our own origin under /mediapipe/hands/ so tracking works offline.
+const MEDIAPIPE_HANDS_DIR = fileURLToPath(
+  new URL('./node_modules/@mediapipe/hands', import.meta.url)
+);
+const MEDIAPIPE_HANDS_URL = '/mediapipe/hands';
+
+const MIME_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.data': 'application/octet-stream',
+  '.binarypb': 'application/octet-stream',
+  '.tflite': 'application/octet-stream'
+};
+
+const mediapipeAssetFiles = () =>
+  fs.readdirSync(MEDIAPIPE_HANDS_DIR).filter(file => MIME_TYPES[path.extname(file)]);
+
+const mediapipeHandsAssets = () => ({
+  name: 'mediapipe-hands-assets',
+  configureServer(server) {
+    server.middlewares.use(MEDIAPIPE_HANDS_URL, (req, res, next) => {
+      const file = path.basename(decodeURIComponent(req.url.split('?')[0]));
+      if (!mediapipeAssetFiles().includes(file)) return next();
+
+      res.setHeader('Content-Type', MIME_TYPES[path.extname(file)]);
+      fs.createReadStream(path.join(MEDIAPIPE_HANDS_DIR, file)).pipe(res);
+    });
+  },
+  generateBundle() {
+    mediapipeAssetFiles().forEach(file => {
+      this.emitFile({
+        type: 'asset',
+        fileName: `${MEDIAPIPE_HANDS_URL.slice(1)}/${file}`,
+        source: fs.readFileSync(path.join(MEDIAPIPE_HANDS_DIR, file))
+      });
+    });
+  }
+});
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mediapipeHandsAssets()],
   server: {
     port: 3000,
     open: true